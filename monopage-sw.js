@@ -0,0 +1,198 @@
+/*
+ * MONOPAGE SERVICE WORKER
+ *
+ * This is a companion to Monopage. It keeps the fragments Monopage
+ * requests, so they can be served when the browser is offline.
+ *
+ *
+ * USAGE
+ *
+ * Serve this file from a path whose scope covers your pages (e.g.,
+ * from the root), and set Monopage's `service_worker` to its URL:
+ * Monopage.setConf({service_worker: '/monopage-sw.js'});
+ *
+ * Then `init` will register it.
+ *
+ *
+ * DETAILS
+ *
+ * Only Monopage's requests are handled: those that are GETs and have
+ * the `X-Monopage` header. These are sent to the network first, and
+ * each successful response is kept, unless it was redirected. If the
+ * network fails, then the kept response will be served instead, if
+ * there is one. All other requests, like those for full pages, are
+ * left to the browser.
+ *
+ * Monopage also posts the URLs of the bodies it caches to the worker,
+ * including those it got before the worker was ready. The worker will
+ * fetch and keep each of those it doesn't already have, sending the
+ * headers Monopage would, including those added by `before_request`.
+ *
+ * Both of these settings can be given in the query of the worker's
+ * URL, like:
+ * Monopage.setConf({service_worker: '/monopage-sw.js?header=X-Fragment&version=2'});
+ * - header, being the name of the header that marks Monopage's
+ *   requests. If you changed Monopage's `request_headers`, then this
+ *   should be one of those.
+ * - version, being the version of the kept responses. Responses
+ *   kept with any other version are removed when the worker is
+ *   activated, so change this when you deploy changes to them.
+ *
+ */
+
+(function () {
+
+    var params = new URLSearchParams(self.location.search);
+
+    var conf = {
+        header: params.get('header') || 'X-Monopage',
+        cache_prefix: 'monopage-fragments:',
+        version: params.get('version') || '1'
+    };
+
+    var cache_name = conf.cache_prefix + conf.version;
+
+
+
+    function handleInstall(event) {
+        self.skipWaiting();
+    }
+
+
+
+    // Caches from other versions are removed, and the pages already
+    // open are claimed, so their requests will come through here.
+    function handleActivate(event) {
+        event.waitUntil(
+            caches.keys()
+                .then(function (names) {
+                    return Promise.all(names.map(function (name) {
+                        if ((name.indexOf(conf.cache_prefix) == 0) && (name != cache_name)) {
+                            return caches.delete(name);
+                        }
+                    }));
+                })
+                .then(function () {
+                    return self.clients.claim();
+                })
+        );
+    }
+
+
+
+    function handleFetch(event) {
+        var request = event.request;
+
+        if ((request.method != 'GET') || (!request.headers.has(conf.header))) {
+            return;
+        }
+
+        event.respondWith(
+            fetch(request)
+                .then(function (response) {
+                    if (isKeepable(response)) {
+                        event.waitUntil(keepResponse(request.url, response.clone()));
+                    }
+
+                    return response;
+                })
+                .catch(function (error) {
+                    return caches.open(cache_name)
+                        .then(function (cache) {
+                            return cache.match(request.url);
+                        })
+                        .then(function (response) {
+                            if (response) {
+                                return response;
+                            }
+
+                            throw error;
+                        });
+                })
+        );
+    }
+
+
+
+    // The message should be an object with the `type`
+    // `monopage:precache` and the `requests` to send, each of which
+    // has the `url`, and the `headers` and `credentials` to fetch it
+    // with.
+    function handleMessage(event) {
+        var data = event.data;
+
+        if ((!data) || (data.type != 'monopage:precache') || (!Array.isArray(data.requests))) {
+            return;
+        }
+
+        event.waitUntil(
+            Promise.all(data.requests.map(function (request) {
+                return precache(request.url, (request.headers || { }), (request.credentials || 'same-origin'));
+            }))
+        );
+    }
+
+
+
+    // URLs from other origins, and those already kept, are skipped.
+    function precache(url, headers, credentials) {
+        if (new URL(url, self.location.href).origin != self.location.origin) {
+            return Promise.resolve();
+        }
+
+        return caches.open(cache_name)
+            .then(function (cache) {
+                return cache.match(url);
+            })
+            .then(function (kept) {
+                if (kept) {
+                    return;
+                }
+
+                var request_headers = new Headers(headers);
+
+                if (!request_headers.has(conf.header)) {
+                    request_headers.set(conf.header, 'true');
+                }
+
+                return fetch(url, {headers: request_headers, credentials: credentials})
+                    .then(function (response) {
+                        if (isKeepable(response)) {
+                            return keepResponse(url, response);
+                        }
+                    });
+            })
+            .catch(function (error) {
+                // Precaching is best effort. The response will be kept
+                // when Monopage requests it.
+            });
+    }
+
+
+
+    // A redirected response, as to a login page, isn't the fragment
+    // for the URL that was requested.
+    function isKeepable(response) {
+        return ((response.ok) && (!response.redirected));
+    }
+
+
+
+    // Responses are kept under their URLs alone, so they won't be
+    // confused with full pages: only Monopage's requests are answered
+    // from this cache.
+    function keepResponse(url, response) {
+        return caches.open(cache_name)
+            .then(function (cache) {
+                return cache.put(url, response);
+            });
+    }
+
+
+
+    self.addEventListener('install', handleInstall);
+    self.addEventListener('activate', handleActivate);
+    self.addEventListener('fetch', handleFetch);
+    self.addEventListener('message', handleMessage);
+
+})();
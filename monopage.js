@@ -49,17 +49,42 @@
  * will pass an object to the `handler` function, and it will run
  * that function as part of the `init` process.
  *
+ * The global `Monopage` is a default instance. Other instances, each
+ * with its own configuration, cache, and hooks, can be made via
+ * `createMonopage`, which can be passed an object of configuration
+ * settings, like:
+ * var nav = createMonopage({default_target_id: 'main', delegate: true});
+ *
+ * When loaded as a CommonJS module, Monopage exports the factory and
+ * the default instance:
+ * var createMonopage = require('monopage').createMonopage;
+ *
+ * And as an ES module:
+ * import { createMonopage, Monopage } from 'monopage';
+ *
+ * Each instance listens for `popstate` once it's `init`ed. To remove
+ * all of its listeners, as when tearing down a page, call `destroy`.
+ *
  *
  * DEPENDENCIES
  *
- * - Http.js for handling the HTTP requests
- * - Clattr.js for handling the element attributes
- * - Utils.js for utility functions
+ * None. Monopage.js uses the standard DOM APIs (`fetch`, `URL`,
+ * `closest`, `classList`) for what it used to need Utils.js,
+ * Clattr.js, and Http.js for.
  *
- * Monopage.js is designed such that these dependencies should be
- * easy to replace, in case another tool can provide the required
- * functionality. Search, e.g., `Http`, to see where it is used and
- * what a replacement would involve.
+ * Those can still be used instead, if you'd rather. The helper
+ * functions can be replaced via `setHelpers`, whose keys are named
+ * after the Utils.js functions (`sieve`, `prefixUrl`, `addListeners`,
+ * `getNearestParentByTagname`, `stringToFunction`), plus `addAttribute`
+ * and `hasClass` for Clattr.js's `add` and `has`, like:
+ * Monopage.setHelpers({prefixUrl: Utils.prefixUrl, hasClass: Clattr.has});
+ *
+ * And requests can be sent via Http.js by setting the `transport` to
+ * `http`. Note that `Http.get` should call its `callback` with the
+ * response and URL when the request succeeds, and its
+ * `error_callback` with the status and URL when it fails. For forms,
+ * `Http.post` should do the same, sending its `params`. If `fetch`
+ * is unavailable, `Http` will be used if it's loaded.
  *
  *
  * DETAILS
@@ -70,62 +95,326 @@
  * in the bar, its `body` gets filled to the target element, and its
  * function is called with the state object as the parameter.
  *
- * That state object will contain four keys:
+ * That state object will contain these keys:
  * - url: being the current URL
  * - body: being the content that the URL returned
- * - target_id: being the ID of the target element
+ * - target_id: being the ID of the (first) target element
+ * - target_ids: being an array of the IDs of all the target elements
  * - action: being the name of the function
+ * - title: being the page title, if the response named one
+ * - head: being the page's head data, if the response named any
+ * - format: being the format of the response, if the link named one
+ * - select: being the selector for the body, if the link named one
+ * - swap: being how the body is put into the target, if the link
+ *   named it
+ * - params: being the path parameters, if the URL matched a route
+ * - snapshot: being the snapshot being restored, if there is one
  *
  * If the `action` is not named, then the `body` will become the
  * `innerHTML` of the element ID'd by the `target_id`.
  *
  * If a URL relates to only one element -- meaning that a change of
- * the URL should change only one element on the page -- then this
- * library should be sufficient (links should specify a `target`,
- * then that target will get filled with the response). But if a
- * page change involves more elements, custom functionality will
- * need to be added, preferably externally. To link Monopage to
- * other functions/modules, name a function in a link's `onreturn`
- * attribute.
+ * the URL should change only one element on the page -- then links
+ * should specify a `target`, and that target will get filled with
+ * the response. If a page change involves more elements, then the
+ * `body` can be an object correlating element IDs with fragments:
+ * {"body": {"main": "<p>...</p>", "sidebar": "<ul>...</ul>"}}
+ *
+ * Each of those elements will get filled with its fragment. A link
+ * can name several targets, separated by spaces, like:
+ * <a class="link-in" href="/page" target="main sidebar">click me</a>
+ *
+ * In which case only those regions of the response will be filled.
+ * If the body is a string, it will fill the first target named.
+ * For anything more complex, custom functionality will need to be
+ * added, preferably externally. To link Monopage to other functions
+ * or modules, name a function in a link's `onreturn` attribute.
+ *
+ * Those names are resolved against the functions registered via
+ * `registerAction`, then against global functions (unless the
+ * `global_actions` setting is false):
+ * Monopage.registerAction('handler', function (state) { ... });
  *
- * There are six public methods: init, click, touch, pop, setConf,
- * and resetConf.
+ * If an action returns a promise, then Monopage will wait for it
+ * before touching the new links and emitting `afterSwap`.
+ *
+ * Rather than naming the target and action on each link, you can
+ * set a route table, which will be consulted for any link, history
+ * entry, or `navigate` call that doesn't name them:
+ * Monopage.routes([
+ *     {pattern: '/posts/:id', target: 'main', action: 'showPost'},
+ *     {pattern: '/about', target: 'main'},
+ *     {pattern: '/docs/*', target: 'main sidebar'}
+ * ]);
+ *
+ * The first route whose pattern matches the URL's path is used. Its
+ * `:named` parts will be put in the state object's `params`, so for
+ * `/posts/12`, the state passed to `showPost` will have the `params`
+ * `{id: "12"}`. A `*` part matches the rest of the path, but a `*`
+ * within a part, as in `/files/*.pdf`, is matched as is. A route's
+ * action can be a name or a function.
+ *
+ * There are seventeen public methods: init, destroy, click, touch,
+ * pop, navigate, replace, reload, back, on, off, registerAction,
+ * unregisterAction, routes, setConf, resetConf, and setHelpers. And
+ * there is one public object, `cache`, explained below.
  *
  * When the page first loads, `init` must fire. You need to add a
  * call to that somewhere and pass it appropriate values. It will
  * (1) save the current page data and URL, (2) add event listeners
  * to inbound links, and (3) add attributes to outbound links.
  *
+ * If the `delegate` setting is true, then rather than (2) and (3),
+ * `init` will add one click listener to the document, which will
+ * check for inbound and outbound links as they're clicked. That way,
+ * content added by other scripts won't need to be `touch`ed. In
+ * either mode, clicks with a modifier key or the middle button are
+ * left to the browser, so they'll open in a new tab as usual.
+ *
  * After that, inbound links will trigger on `click`, which will
  * (1) add an entry to the window history, (2) perform an AJAX call
  * to the specified URL, (3) correlate and save the URL and returned
  * data, (4) handle the returned data appropriately.
  *
+ * To navigate from a script, as after a login or from a search box,
+ * call `navigate` with the URL and, optionally, an object naming the
+ * `target`, `action`, `history` (`push`, `replace`, or `none`),
+ * `cache` (false to neither use nor keep a cached body), and `swap`,
+ * like:
+ * Monopage.navigate('/account', {target: 'main', action: 'showAccount'})
+ *     .then(function (state) { ... });
+ *
+ * The returned promise resolves with the state object after the
+ * state has been swapped in and its action has completed, or with
+ * false if the navigation was canceled or superseded by another. If
+ * the request fails, or the action throws, it rejects with the
+ * failure object (see below).
+ * `replace` is the same as `navigate` with `history: 'replace'`. And
+ * `reload` requests the current state's URL again, bypassing the
+ * cache, and returns the same kind of promise. `back` is the same as
+ * the browser's back button.
+ *
  * When the user clicks the back or forward button, `pop` will fire,
  * which will (1) receive the state object, (2) check if the state's
  * URL and corresponding data is stored, and (3) if it is, it will
  * recreate that state from the stored data, but if it isn't, then
  * the `click` routine will run, all except for its first step.
  *
+ * As the user scrolls, the scroll positions of the window and the
+ * target elements are recorded in the current history entry, and
+ * on `pop` they're restored. When a link is followed, the window is
+ * scrolled to the top, or to the element named by the URL's
+ * `#fragment`. Either way, focus is moved to the new content.
+ *
+ * If the response has a `title` key, then that will become the
+ * `document.title` whenever its state is current. And the state will
+ * be announced to screen readers via an ARIA live region, with its
+ * targets marked `aria-busy` while they're loading.
+ *
+ * Similarly, the response can have a `head` key, naming the state's
+ * meta tags, canonical URL, stylesheets, and scripts, like:
+ * {"head": {"meta": [{"name": "description", "content": "..."}],
+ *           "canonical": "https://site/page",
+ *           "stylesheets": ["/page.css"]}}
+ *
+ * That will be diffed into the `<head>` when the state becomes
+ * current. New stylesheets are loaded before the content is swapped,
+ * so it won't flash unstyled. The initial state's head data is read
+ * from the document on `init`, so it will be restored on `pop`.
+ *
+ * By default, the body replaces the target's `innerHTML`. To keep
+ * the state of the elements in it, like input values, focus, and
+ * listeners, set the `swap` to `morph`, and only the nodes that
+ * changed will be changed. Elements are matched by their IDs or
+ * `data-key` attributes. For infinite scrolling or partial updates,
+ * the `swap` can also be `append`, `prepend`, or `outerHTML`. Links
+ * can name their own in the `data-swap` attribute, like:
+ * <a class="link-in nohist" href="/posts?page=2" target="posts" data-swap="append">more</a>
+ *
+ * When a state is restored from the history, its body replaces the
+ * target's content (or is morphed into it), rather than being added.
+ *
+ * When the user goes back to a state, it's rebuilt from its body,
+ * so anything they did there, like opening an accordion or loading
+ * more items, is lost. To keep it, set `snapshot` to true. Then the
+ * live content of the targets will be kept when the user leaves a
+ * state, and put back when they return to it. Or, to keep only what
+ * you need, set `snapshot_save` to a function that returns it, and
+ * `snapshot_restore` to a function that will be passed it after the
+ * state is rebuilt. Only the `snapshot_limit` most recent snapshots
+ * are kept. If there is none, the cached body or the server's will be
+ * used, as usual.
+ *
+ * While a request is pending, the link that started it, its targets,
+ * and the `<html>` element will have the `mp-loading` class. To
+ * keep that from flashing on fast responses, set a `loading_delay`.
+ * And to show a progress bar along the top of the page, set
+ * `progress_bar` to true.
+ *
+ * To animate the change of content, set `transition` to `css`, or
+ * name it in a target's `data-transition` attribute. Then the old
+ * content will get the `mp-leaving` class, and when its transition
+ * ends, the new content will be filled in with the `mp-entering`
+ * class, which will be removed when its animation ends. While that
+ * happens, the `<html>` element will have the `mp-forward` or
+ * `mp-back` class, so you can animate the directions differently:
+ * #main.mp-leaving { opacity: 0; transition: opacity .2s; }
+ * .mp-back #main.mp-entering { animation: slide-from-left .2s; }
+ *
+ * If the `transition` is `auto`, then the View Transitions API will
+ * be used where it's available. If the user prefers reduced motion,
+ * then the content will change instantly.
+ *
+ * Scripts in the filled-in content won't run, since they're filled
+ * in via `innerHTML`. To have Monopage run them, in document order,
+ * set `run_scripts` to `once` (per URL) or `always`. If your Content
+ * Security Policy needs a nonce, set it in `script_nonce`.
+ *
+ * All of the above assumes the server responds with JSON. But it can
+ * also respond with an HTML fragment, which will be the body as is,
+ * or a full HTML document, from which the body, title, and head data
+ * will be pulled. Set the `response_format` to `json`, `html`,
+ * `document`, or `auto` (to sniff it from each response), or name
+ * the format in a link's `data-format` attribute, like:
+ * <a class="link-in" href="/page" target="main" data-format="document">click me</a>
+ *
+ * The body of a document is pulled from the element with the target
+ * ID, or the element matching the `document_selector` or the link's
+ * `data-select` attribute.
+ *
+ * Forms with the `link-in` class are submitted through Monopage too.
+ * A GET form works like a link to its `action` with its data in the
+ * query string. A POST form's return isn't cached, and by default
+ * it isn't recorded in the history, since going back to it would
+ * request the `action` via GET. That can be changed via the
+ * `form_history` setting or the form's `data-history` attribute
+ * (`push`, `replace`, or `none`). If the server redirects, the
+ * redirected URL will be recorded, or its response can name the URL
+ * to record in its `url` key.
+ *
+ * Requests are sent via `fetch`, with the `request_headers`, which
+ * by default include `X-Monopage: true`, so the server can tell it
+ * needs to respond with just the fragment. To add headers to each
+ * request, like an auth or CSRF token, set `before_request` to a
+ * function that will be passed the request object:
+ * Monopage.setConf({before_request: function (request) {
+ *     request.headers['X-CSRF-Token'] = token;
+ * }});
+ *
+ * The request object contains the `url`, `method`, `headers`, `body`
+ * (for posts), `credentials`, `timeout` (in milliseconds), and
+ * `purpose` (`navigate`, `prefetch`, or `precache`, for the service
+ * worker's requests). It's also in the detail of the `requestStart`
+ * event.
+ *
+ * To send requests some other way, as with a mock in tests, set the
+ * `transport` to a function. It will be passed the request object
+ * and a callback, which it should call with a reply object like:
+ * {ok: true, status: 200, text: "...", url: "...", header: function (name) { ... }}
+ *
+ * It's also passed a progress function, which it can call with the
+ * number of bytes loaded and the total (0 if unknown), to move the
+ * progress bar. If the request failed, the reply's `ok` should be
+ * false, and it can contain an `error`. The function can return an
+ * object with an `abort` method, which will be called if the
+ * navigation is superseded. Any `header` method will only be used for
+ * the `Content-Type` (when the `response_format` is `auto`) and, if
+ * `cache_honor_headers` is set, the `Cache-Control`.
+ *
+ * Inbound links can also be prefetched, so their returns are cached
+ * before they're clicked. Name the triggers (`hover`, `focus`, or
+ * `visible`) in the `prefetch` setting, or in a link's `data-prefetch`
+ * attribute, like:
+ * <a class="link-in" href="/page" data-prefetch="hover focus">click me</a>
+ *
+ * Along the way, Monopage emits lifecycle events, which you can hook
+ * into via `on` and `off`:
+ * Monopage.on('afterSwap', function (detail) { ... });
+ *
+ * - beforeNavigate: before a click is handled. If a hook returns
+ *   false, the navigation will be canceled.
+ * - requestStart: before a request is sent to the server.
+ * - responseReceived: when the server returns, before its body is
+ *   cached or used.
+ * - beforeSwap: before the state's body is filled to its targets.
+ * - afterSwap: after the targets are filled and the action called.
+ * - navigationError: when something went wrong.
+ * - popRestore: when a state is reinstated from the history.
+ *
+ * Each hook receives a `detail` object containing the event `type`,
+ * the `url`, the `state` object, and other data relevant to that
+ * event. Each event is also dispatched as a `CustomEvent` on the
+ * state's target element, so you could instead listen for, e.g.,
+ * `monopage:afterSwap` on the `document`.
+ *
+ * If a request fails, or its response can't be transformed, then the
+ * pending state is dropped and the page stays where it was. Monopage
+ * can fill an `error_fragment` into the `error_target_id`, call the
+ * function named by the link's `onerror` attribute (or the
+ * `default_error_action`), or, if `error_fallback_load` is set, load
+ * the URL as a full page (or submit the form) instead.
+ *
  * Each state object in the `window.history` stack is an object that
- * contains three keys:
+ * contains these keys:
  * - url, being the URL
  * - target_id, being the ID of the element that should receive the
  *   content associated with the URL
+ * - target_ids, being the IDs of all the elements that should receive
+ *   the content associated with the URL
  * - action, being the name of the function to call when this URL is
  *   the current URL
+ * - title, being the page title to set when this URL is the current
+ *   URL
+ * - scroll, being the recorded scroll positions
+ * - head, being the head data to apply when this URL is the current
+ *   URL
+ * - index, being the entry's position in the history, used to tell
+ *   going forward from going back
  *
  * The main data store is an object correlating a URL (the object's
  * keys) with the data the server provides for that URL (the values).
+ * Its entries are kept in order of use: when it's over the `cache`
+ * limit or the `cache_max_bytes` budget, the least recently used
+ * entries are removed. Each entry can also expire, after `cache_ttl`
+ * seconds or however long the response's `cache` key says.
+ *
+ * The cache can be managed via the public `cache` object, which has
+ * the methods get, set, delete, clear, and invalidate. So after a
+ * form post, you could bust the related entries like:
+ * Monopage.cache.invalidate('/posts');
  *
  * The URL/response data is stored in a variable rather than the
  * history's state object because browsers set a size limit on what
  * can be stored in the state object. Variables have no such limit.
- * Also, this way there is no persistence: if the user closes the
- * tab or refreshes the page, the data will be refreshed when they
- * visit again. Also, browsers vary their implementation of the
- * sessionStorage and localStorage APIs, and dealing with those
- * differences doesn't sound like fun.
+ * Also, this way there is no persistence by default: if the user
+ * closes the tab or refreshes the page, the data will be refreshed
+ * when they visit again.
+ *
+ * If you'd rather the data survive a refresh, then set the
+ * `cache_storage` to `session` or `indexeddb`. The entries will be
+ * persisted there as they're cached, and loaded back into memory on
+ * `init`. They're stored with the `cache_storage_version`, so
+ * changing that on deploy will invalidate them. If the storage is
+ * unavailable or over its quota, the cache will stay in memory.
+ *
+ * While the browser is offline, Monopage won't send requests. It
+ * will use the cached body for the URL instead, even if it has
+ * expired, and if it's not in memory, it will look in the persisted
+ * cache. If there is no body, then the `offline_fragment` will be
+ * filled into the `offline_target_id`, and the `navigationError`
+ * will have `offline` set to true. Requests that wouldn't make
+ * history, like those from `link-nohist` links, will be queued
+ * instead (with `queued` also set on the `navigationError`), and
+ * sent again when the browser comes back online.
+ *
+ * To keep responses across visits, Monopage comes with a service
+ * worker, monopage-sw.js. Set the `service_worker` to its URL, and
+ * `init` will register it. It will keep the responses to Monopage's
+ * requests, and serve them when the network fails. While it controls
+ * the page, Monopage will send requests even when the browser is
+ * offline, so the worker can answer them, and will only look in the
+ * persisted cache and use the `offline_fragment` if they fail. See
+ * that file for more.
  *
  * For more info, see:
  * https://developer.mozilla.org/en-US/docs/Web/API/History_API
@@ -134,7 +423,7 @@
  * any time by passing an object with the right key/value pairs to
  * `setConf`. And you can reset to the defaults via `resetConf`.
  *
- * There are three global variables:
+ * Each instance has three main variables:
  * - url_cache, being an object correlating URLs with the data those
  *   URLs fetch from the server.
  * - conf, being an object that contains configuration settings.
@@ -144,16 +433,18 @@
  *
  */
 
-var Monopage = (function () {
+function createMonopage(options) {
 
     // This is the default configuration. These settings can be
     // modified any time by passing an object with these keys to the
-    // public `setConf` method.
+    // public `setConf` method, or to `createMonopage`.
     var conf = {
         // The default element for filling with new page data. Each
         // link can specify its own target ID (see `link_attr_target`)
         // but, if it doesn't, then this ID will be used. If this is
-        // also false, then the content will be placed nowhere.
+        // also false, then the content will be placed nowhere. If the
+        // body is an object of element IDs and fragments, then this
+        // isn't needed: each of those elements will be filled.
         default_target_id: false,
 
         // The default function to send the response body to when
@@ -162,9 +453,16 @@ var Monopage = (function () {
         // own action, but if none is specified, then this is used.
         // If false, then no action will occur by default, and if the
         // link function is also missing, then nothing will occur :(
-        // This should be a string.
+        // This can be the name of a function or the function itself.
         default_action: false,
 
+        // Action names are first looked up among the functions added
+        // via `registerAction`. If this is true and no such function
+        // has been registered, then the name will be looked up as a
+        // global function. If you'd rather not have attribute values
+        // from the DOM resolve to arbitrary globals, make this false.
+        global_actions: true,
+
         // Each link can name a function to handle the return from the
         // `href` it calls. This names the attribute to read from the
         // link.
@@ -172,13 +470,26 @@ var Monopage = (function () {
 
         // Each link can name a target element ID to receive the return
         // from the URL it calls. This names the attribute to read from
-        // the link.
+        // the link. To name several targets, separate them by spaces.
         link_attr_target: 'target',
 
         // This is the class name for inbound links. Links with this
         // class will get event listeners on `init` or when `touch`ed.
+        // Forms with this class will be submitted through Monopage too.
         link_class_inbound: 'link-in',
 
+        // If this is true, then rather than adding listeners to each
+        // inbound link, Monopage will add one click listener (and one
+        // submit listener) to the document, and check whether each
+        // click is on an inbound link when it happens. So links added
+        // by any script will work without needing to be `touch`ed, and
+        // `touch` will do nothing. This must be set before `init`.
+        delegate: false,
+
+        // Inbound links are matched by the `link_class_inbound`. To
+        // match them by a CSS selector instead, name it here.
+        link_selector: false,
+
         // This is the class name for outbound links. Links with this
         // class will get outbound attributes.
         link_class_outbound: 'link-out',
@@ -203,23 +514,373 @@ var Monopage = (function () {
         // each click and pop will send a request.
         link_class_nocache: 'nocache',
 
+        // Inbound links can be prefetched, so their returns are in the
+        // `url_cache` before they're clicked. This names the triggers
+        // for prefetching, separated by spaces: `hover` (the pointer
+        // resting on the link, or a touch starting on it), `focus`, and
+        // `visible` (the link scrolling into view). If false, links
+        // will only be prefetched if they name their own triggers.
+        prefetch: false,
+
+        // Each link can name its own prefetch triggers, overriding the
+        // `prefetch` setting. This names the attribute to read from the
+        // link. A value of `none` will keep the link from prefetching.
+        link_attr_prefetch: 'data-prefetch',
+
+        // The number of milliseconds the pointer must rest on a link
+        // before it is prefetched, so passing hovers don't trigger it.
+        prefetch_delay: 65,
+
+        // The maximum number of prefetch requests to have in flight at
+        // once. Others will wait their turn.
+        prefetch_limit: 2,
+
+        // How a POST form's return is recorded in the history: `push`
+        // adds an entry, `replace` replaces the current entry, and
+        // `none` leaves the history alone. Since a POST's return isn't
+        // cached, going back to its entry would request its URL via
+        // GET, so only record it if the server redirects to a URL that
+        // can be. GET forms are recorded like links, so they're pushed
+        // unless they have the `nohist` class.
+        form_history: 'none',
+
+        // Each form can name its own history behavior, overriding the
+        // `form_history` setting. This names the attribute to read from
+        // the form.
+        form_attr_history: 'data-history',
+
+        // If the server response to a form post is an object, then this
+        // key can name the key that contains the URL to record for the
+        // state, as when the post redirects. If it is missing, the
+        // requested URL will be used. Responses to GETs are never read
+        // for it.
+        response_key_url: 'url',
+
+        // If this is true, then the scroll positions of the window and
+        // the target elements will be recorded in each history entry,
+        // and restored when the user goes back or forward to it.
+        scroll_restore: true,
+
+        // Where to scroll when a link is followed: if its URL has a
+        // `#fragment`, then the element it names will be scrolled into
+        // view. Else, if this is `top`, the window will be scrolled to
+        // the top. If false, the window will stay where it is.
+        scroll_on_navigate: 'top',
+
+        // If this is true, then focus will be moved to the (first)
+        // target element after it's filled, so keyboard and screen
+        // reader users start from the new content.
+        focus_on_navigate: true,
+
+        // How to animate the change of a target's content. If this is
+        // `css`, then the `transition_class_leaving` will be added to
+        // the target, and when its transition or animation ends, the
+        // target will be filled and the `transition_class_entering`
+        // added until its animation ends. If it's `auto`, then the
+        // View Transitions API will be used where it's available, and
+        // the CSS classes where it isn't. If false, the content will
+        // change instantly. Transitions are skipped if the user
+        // prefers reduced motion.
+        transition: false,
+
+        // Each target element can name its own transition, overriding
+        // the `transition` setting. This names the attribute to read
+        // from the target.
+        target_attr_transition: 'data-transition',
+
+        // These classes are added to the targets during a transition.
+        transition_class_leaving: 'mp-leaving',
+        transition_class_entering: 'mp-entering',
+
+        // One of these classes is added to the `<html>` element during
+        // a transition, depending on whether the user is going forward
+        // (by following a link, or the forward button) or back.
+        transition_class_forward: 'mp-forward',
+        transition_class_back: 'mp-back',
+
+        // If this is true, then when the user leaves a state, the live
+        // content of its targets will be kept, and when they go back
+        // or forward to it, that content will be put back as it was,
+        // rather than rebuilt from the cached body.
+        snapshot: false,
+
+        // If this is a function, then rather than keeping the live
+        // content, it will be passed the leaving state's URL and
+        // target elements, and what it returns will be kept. Then,
+        // when the state is restored (from the cache or the server),
+        // the `snapshot_restore` function will be passed that data,
+        // the state object, and the target elements.
+        snapshot_save: false,
+        snapshot_restore: false,
+
+        // How many snapshots to keep. When there are more, the oldest
+        // are dropped.
+        snapshot_limit: 10,
+
+        // Each link can name a function to call if the request for its
+        // `href` fails. This names the attribute to read from the link.
+        link_attr_error: 'onerror',
+
+        // The default function to call when a request fails or its
+        // response can't be read. It will be passed an object with
+        // the `url`, the `status` (0 if there is none), the `error`
+        // (if there is one), and the `state` object. Like the
+        // `default_action`, this can be a string or a function. If
+        // false, no function will be called.
+        default_error_action: false,
+
+        // When a request fails, this fragment will be filled into the
+        // element ID'd by `error_target_id`. Any `{url}` and `{status}`
+        // in it will be replaced by those values, HTML-escaped. If this
+        // is false, no fragment will be filled.
+        error_fragment: false,
+
+        // The ID of the element to fill with the `error_fragment`. If
+        // this is false, then the state's first target will be used.
+        error_target_id: false,
+
+        // If this is true, then when a request fails, Monopage will
+        // give up and load the URL as a full page instead. A form post
+        // will be submitted as a full page instead.
+        error_fallback_load: false,
+
+        // If this is true, then while the browser is offline, cached
+        // bodies will be used even if they've expired, and if a body
+        // isn't in the `url_cache`, it will be looked for in the
+        // persisted cache (see `cache_storage`).
+        offline_cache: true,
+
+        // When the browser is offline and there's no cached body for
+        // the URL, this fragment will be filled into the element ID'd
+        // by `offline_target_id`. Any `{url}` in it will be replaced
+        // by the URL. If this is false, the failure will be handled
+        // like any other, so the `error_fragment` will be filled.
+        offline_fragment: false,
+
+        // The ID of the element to fill with the `offline_fragment`.
+        // If this is false, then the state's first target will be used.
+        offline_target_id: false,
+
+        // If this is true, then requests that wouldn't make history
+        // (from `link-nohist` links and forms, and navigations with
+        // the `history` set to `none`) that can't be answered while
+        // offline will be queued, and sent again, in order, when the
+        // browser comes back online.
+        offline_retry: true,
+
+        // The URL of the companion service worker, `monopage-sw.js`.
+        // If this is a string, then `init` will register it, and the
+        // URLs of the bodies Monopage caches will be posted to it, so
+        // it can keep their responses for when the browser is offline.
+        // If false, no service worker will be registered.
+        service_worker: false,
+
+        // How requests are sent. If this is `fetch`, then they'll be
+        // sent via `window.fetch` (or, if that's unavailable, via
+        // `Http`). If it's `http`, then via `Http.get` and `Http.post`.
+        // Or it can be a function, which will be passed a request
+        // object and a callback, as described in the header.
+        transport: 'fetch',
+
+        // These headers will be sent with every request. The default
+        // marks the request as Monopage's, so the server can respond
+        // with just the fragment rather than the full page.
+        request_headers: {'X-Monopage': 'true'},
+
+        // Whether requests send cookies: `same-origin`, `include`, or
+        // `omit`.
+        request_credentials: 'same-origin',
+
+        // How many milliseconds to wait for a response before giving
+        // up on it. If this is 0, there will be no timeout.
+        request_timeout: 0,
+
+        // This function will be passed each request object before it's
+        // sent, so it can add headers (e.g., an auth or CSRF token) or
+        // change the others. If false, no function will be called.
+        before_request: false,
+
         // This names the function that transforms the server response
         // before using it. If this doesn't name a function, then the
         // data won't be transformed. So if a transform isn't needed,
         // just make this false.
         response_transform: JSON.parse,
 
+        // The format of the server's responses. This can be `json`, in
+        // which case the response will be transformed, and its keys
+        // read, as described below. Or it can be `html`, in which case
+        // the response is the body, as is. Or it can be `document`, in
+        // which case the response is parsed as a full HTML document,
+        // and the body is pulled from the element in it that matches
+        // the target ID (or the `document_selector`). If it's `auto`,
+        // then the format will be sniffed from the response.
+        response_format: 'json',
+
+        // Each link can name the format of its response, overriding
+        // the `response_format` setting. This names the attribute to
+        // read from the link.
+        link_attr_format: 'data-format',
+
+        // When the response is a full HTML document, the body will be
+        // pulled from the element matching this selector. If false,
+        // then the elements with the target IDs will be used, and if
+        // there are no target IDs, the document's `<body>`.
+        document_selector: false,
+
+        // Each link can name its own selector, overriding the
+        // `document_selector` setting. This names the attribute to
+        // read from the link.
+        link_attr_select: 'data-select',
+
+        // How the body is put into the target. This can be `innerHTML`,
+        // which replaces the target's content. Or `morph`, which diffs
+        // the body against the target's content and changes only the
+        // nodes that differ, so input values, focus, and listeners are
+        // kept. Or `outerHTML`, which replaces the target itself. Or
+        // `append` (or `beforeend`) or `prepend` (or `afterbegin`),
+        // which add the body to the end or the start of the target.
+        swap: 'innerHTML',
+
+        // Each link can name its own swap, overriding the `swap`
+        // setting. This names the attribute to read from the link.
+        link_attr_swap: 'data-swap',
+
+        // When morphing, elements are matched by their IDs or by this
+        // attribute, so they can be moved rather than rebuilt.
+        swap_key_attr: 'data-key',
+
         // If the server response is an object, then this key needs to
         // name the key that contains the body. But if the response is
-        // a string, just make this false.
+        // a string, just make this false. The body itself can be a
+        // string or an object correlating element IDs with fragments.
         response_key_body: 'body',
 
         // This number specifies the maximum number of entries allowed
         // in the `url_cache`. If it is 0, no cache will be stored.
         // If it is negative, everything will be stored. Else, the
-        // last `conf.cache` entries will be stored.
+        // `conf.cache` most recently used entries will be stored.
         cache: -1,
 
+        // The number of seconds each entry in the `url_cache` will
+        // live. If it is 0, entries won't expire. This can be
+        // overridden for each response (see `response_key_cache`).
+        cache_ttl: 0,
+
+        // The maximum size, in bytes, of all the bodies in the
+        // `url_cache`, estimated from their string lengths. When the
+        // cache is over this, the least recently used entries will be
+        // removed. If it is 0, there is no limit.
+        cache_max_bytes: 0,
+
+        // If the server response is an object, then this key can name
+        // the key that contains the page's title. When the state becomes
+        // current, that will become the `document.title`.
+        response_key_title: 'title',
+
+        // If the server response is an object, then this key can name
+        // the key that contains the page's head data: an object that
+        // can have `meta` (an array of objects with a `name` or
+        // `property` and a `content`), `canonical` (a URL), and
+        // `stylesheets` and `scripts` (arrays of URLs). When the state
+        // becomes current, that data will be diffed into the `<head>`.
+        response_key_head: 'head',
+
+        // This selector picks the elements in the `<head>` that make up
+        // the initial state's head data, so they can be restored when
+        // the user comes back to it. Only meta tags and canonical links
+        // will be read.
+        head_capture: 'meta[name="description"], meta[name="keywords"], meta[name="robots"], ' +
+            'meta[property^="og:"], meta[name^="twitter:"], link[rel="canonical"]',
+
+        // New stylesheets are loaded before the new content is filled
+        // in, so it won't flash unstyled. This is the maximum number
+        // of milliseconds to wait for them.
+        head_style_timeout: 3000,
+
+        // Scripts in content filled in via `innerHTML` don't run. If
+        // this is `once`, then Monopage will run them, in document
+        // order, the first time each URL's content is filled in. If it
+        // is `always`, then they'll run every time, including on pop.
+        // If false, they won't run.
+        run_scripts: false,
+
+        // If your Content Security Policy requires a nonce on scripts,
+        // name it here, and the scripts Monopage runs will get it.
+        script_nonce: false,
+
+        // If this is true, then each navigation will be announced to
+        // screen readers via an ARIA live region, and the targets will
+        // be marked `aria-busy` while their content is loading.
+        announce: true,
+
+        // The message to announce. Any `{title}` in it will be replaced
+        // by the state's title, or, if it has none, by the text of the
+        // first heading in the new content.
+        announce_message: '{title}',
+
+        // The ID of the live region element. If there is no element
+        // with this ID, one will be added to the end of the body.
+        announce_id: 'monopage-announcer',
+
+        // While a request is pending, this class will be added to the
+        // link (or form) that started it, its targets, and the `<html>`
+        // element. If false, no class will be added.
+        loading_class: 'mp-loading',
+
+        // How many milliseconds a request must be pending before the
+        // `loading_class` is added and the progress bar shown, so fast
+        // responses won't flash them.
+        loading_delay: 0,
+
+        // If this is true, then a bar will be shown along the top of
+        // the page while a request is pending, its width following the
+        // request's progress.
+        progress_bar: false,
+
+        // The ID of the progress bar element. If there is no element
+        // with this ID, one will be added to the end of the body,
+        // styled with the `progress_bar_color`. If there is, its styles
+        // are left to you: only its width and opacity will be set.
+        progress_bar_id: 'monopage-progress',
+
+        progress_bar_color: '#29d',
+
+        // If the server response is an object, then this key can name
+        // the key that says how long to cache the body. Its value can
+        // be a number of seconds or a `Cache-Control` string, like
+        // `max-age=60` or `no-store`. If it is missing, the
+        // `cache_ttl` will be used.
+        response_key_cache: 'cache',
+
+        // If this is true, then the `Cache-Control` header of the
+        // server's response will be read like the `response_key_cache`,
+        // if that key is missing.
+        cache_honor_headers: false,
+
+        // Where to persist the `url_cache`, so it can survive a reload
+        // or a restored tab. This can be `memory` (meaning it won't be
+        // persisted), `session` (for sessionStorage), `indexeddb`, or
+        // an object implementing the same methods as the stores made
+        // by `makeMemoryStore`. If the storage can't be used, the
+        // cache will stay in memory.
+        cache_storage: 'memory',
+
+        // The persisted entries are stored under this name.
+        cache_storage_prefix: 'monopage',
+
+        // The persisted entries are stored with this version. Entries
+        // stored with any other version will be ignored and removed,
+        // so change this when you deploy changes to the responses.
+        cache_storage_version: '1',
+
+        // Each lifecycle event is also dispatched as a `CustomEvent`
+        // on the state's target element (or the document, if there is
+        // no target). Its name will be this prefix followed by the
+        // event name, e.g. `monopage:afterSwap`. The event bubbles, and
+        // its `detail` is the object that hooks receive. Make this
+        // false to skip dispatching DOM events.
+        event_prefix: 'monopage:',
+
         // If this is true, then Monopage will write messages to the
         // console that allow you to track its progress. If false,
         // it won't.
@@ -230,7 +891,157 @@ var Monopage = (function () {
 
     var bk_conf = null,
         url_cache = { },
-        async_keep = { };
+        cache_bytes = 0,
+        cache_store = null,
+        async_keep = { },
+        nav_count = 0,
+        nav_direction = null,
+        history_index = 0,
+        transition_nav = 0,
+        snapshots = [ ],
+        shown_index = 0,
+        shown_url = null,
+        hooks = { },
+        actions = { },
+        route_table = [ ],
+        prefetch_keep = { },
+        prefetch_queue = [ ],
+        prefetch_timers = { },
+        prefetch_observer = null,
+        retry_queue = [ ],
+        retrying = false,
+        retry_id = 'retry',
+        pending_urls = { },
+        service_worker = null,
+        delegated = false,
+        progress_width = 0,
+        progress_timer = null,
+        scroll_timer = null,
+        current_head = null,
+        initial_head = null,
+        scripts_run = { };
+
+
+
+    // These are the names of the lifecycle events that hooks can be
+    // added for via `on`. Of these, only `beforeNavigate` can be
+    // canceled: by a hook returning false, or by a DOM listener
+    // calling `preventDefault`.
+    var event_names = [
+        'beforeNavigate',
+        'requestStart',
+        'responseReceived',
+        'beforeSwap',
+        'afterSwap',
+        'navigationError',
+        'popRestore'
+    ];
+
+
+
+    // These are the utility functions Monopage uses. Each can be
+    // replaced via the public `setHelpers` method, as with those from
+    // Utils.js and Clattr.js, which these were modeled after.
+    var helpers = {
+        sieve: sieve,
+        prefixUrl: prefixUrl,
+        addListeners: addListeners,
+        getNearestParentByTagname: getNearestParentByTagname,
+        stringToFunction: stringToFunction,
+        addAttribute: addAttribute,
+        hasClass: hasClass
+    };
+
+
+
+    function setHelpers(helpers_obj) {
+        Object.keys(helpers_obj).forEach(function (name) {
+            if (!helpers.hasOwnProperty(name)) {
+                console.log("MAJOR MALFUNCTION: there is no helper named '"+name+"'.");
+            }
+            else if (typeof helpers_obj[name] != 'function') {
+                console.log("MAJOR MALFUNCTION: the '"+name+"' helper must be a function.");
+            }
+            else {
+                helpers[name] = helpers_obj[name];
+            }
+        });
+
+        return helpers;
+    }
+
+
+
+    // Returns a new object with the keys of `base`, overridden by
+    // those of `extra`.
+    function sieve(base, extra) {
+        var merged = { };
+
+        Object.keys(base).forEach(function (key) {
+            merged[key] = base[key];
+        });
+
+        Object.keys(extra || { }).forEach(function (key) {
+            merged[key] = extra[key];
+        });
+
+        return merged;
+    }
+
+
+
+    // Returns the full URL for the given (possibly relative) URL.
+    function prefixUrl(url) {
+        return new URL(url, window.location.href).href;
+    }
+
+
+
+    function addListeners(elems, func) {
+        for (var o = 0; o < elems.length; o++) {
+            elems[o].addEventListener('click', func);
+        }
+    }
+
+
+
+    // The `elem` can be a text node, as an event's `target` can be.
+    function getNearestParentByTagname(elem, tagname) {
+        if ((elem) && (elem.nodeType != 1)) {
+            elem = elem.parentElement;
+        }
+
+        return ((elem) && (typeof elem.closest == 'function'))
+            ? elem.closest(tagname)
+            : null;
+    }
+
+
+
+    // The `name` can be dotted, like `App.pages.show`.
+    function stringToFunction(name) {
+        var fx = window;
+
+        name.split('.').forEach(function (part) {
+            fx = ((fx) && (part in Object(fx))) ? fx[part] : null;
+        });
+
+        return (typeof fx == 'function') ? fx : null;
+    }
+
+
+
+    function addAttribute(elems, value, attr) {
+        for (var o = 0; o < elems.length; o++) {
+            elems[o].setAttribute(attr, value);
+        }
+    }
+
+
+
+    function hasClass(elem, name) {
+        return ((elem) && (elem.classList)) ? elem.classList.contains(name) : false;
+    }
 
 
 
@@ -242,7 +1053,7 @@ var Monopage = (function () {
 
         bk_conf = conf;
 
-        var new_conf = Utils.sieve(conf, conf_obj);
+        var new_conf = helpers.sieve(conf, conf_obj);
 
         if (conf.log) {
             console.log("New config settings:");
@@ -277,468 +1088,4499 @@ var Monopage = (function () {
 
 
 
-    // For the first entry, use replaceState. If you use pushState,
-    // there will be one too many entries in the array.
-    // Also, the `target_id` and `func` parameters are optional. But
-    // if they are present, both should be strings.
-    function setInitialState(url, body, target_id, func, call_func) {
-        var state_obj = makeStateObject(url, body, target_id, func);
-
-        if (conf.log) {
-            console.log("Replacing first history entry for '" + state_obj.url + "'.");
+    function addHook(name, func) {
+        if (event_names.indexOf(name) < 0) {
+            console.log("MAJOR MALFUNCTION: '"+name+"' is not a Monopage event.");
+            return false;
         }
 
-        window.history.replaceState(prepStateForHistory(state_obj), '', state_obj.url);
+        if (typeof func != 'function') {
+            console.log("MAJOR MALFUNCTION: hook for '"+name+"' is not a function.");
+            return false;
+        }
 
-        if (conf.cache) {
-            addBodyToCache(state_obj);
+        if (!hooks[name]) {
+            hooks[name] = [ ];
         }
 
-        // This is useful for cases in which the initial state is
-        // set by the server, so the page is ready to go and needs
-        // no modification, but might want to use a function other
-        // than the default for handling this state.
-        if (call_func) {
-            makeStateCurrent(state_obj, false);
+        if (hooks[name].indexOf(func) < 0) {
+            if (conf.log) {
+                console.log("Adding hook for '"+name+"'.");
+            }
+
+            hooks[name].push(func);
         }
-    }
 
+        return true;
+    }
 
 
-    // Nulls for the `target_id` and `func` values will result in
-    // their defaults being checked/used during instatement.
-    function makeStateObject(url, body, target_id, func) {
-        target_id = (typeof target_id == 'string') ? target_id : null;
-        func = (typeof func == 'string') ? func : null;
 
-        var state_obj = {
-            target_id: target_id,
-            url: Utils.prefixUrl(url),
-            action: func,
-            body: body
+    // If no function is given, then all the hooks for the event will
+    // be removed.
+    function removeHook(name, func) {
+        if (!hooks[name]) {
+            return false;
         }
 
-        return state_obj;
-    }
+        if (typeof func == 'function') {
+            var index = hooks[name].indexOf(func);
 
+            if (index < 0) {
+                return false;
+            }
 
+            hooks[name].splice(index, 1);
+        }
 
-    // Pass this a link element.
-    function makeStateObjectFromLink(link) {
-        var url = link.getAttribute('href') || null;
-        var func = link.getAttribute(conf.link_attr_action) || null;
-        var target_id = link.getAttribute(conf.link_attr_target) || null;
+        else {
+            delete hooks[name];
+        }
+
+        if (conf.log) {
+            console.log("Removed hook for '"+name+"'.");
+        }
 
-        return makeStateObject(url, null, target_id, func);
+        return true;
     }
 
 
 
-    // Pass this a state object and two optional booleans indicating
-    // whether (1) the state should be recorded, and (2) whether the
-    // return should be caches.
-    function makeAsyncObject(state, record, cache) {
-        record = ((typeof record != undefined) && (record)) ? true : false;
+    // Pass this the name to register the function under, or an object
+    // correlating names with functions.
+    function registerAction(name, func) {
+        if ((name) && (typeof name == 'object')) {
+            return Object.keys(name).every(function (key) {
+                return registerAction(key, name[key]);
+            });
+        }
 
-        if (typeof cache == undefined) {
-            cache = (conf.cache == 0) ? false : true;
+        if ((typeof name != 'string') || (typeof func != 'function')) {
+            console.log("MAJOR MALFUNCTION: actions must be registered with a name and a function.");
+            return false;
         }
 
-        return {
-            state: state,
-            record: record,
-            cache: cache
+        if (conf.log) {
+            console.log("Registering action '"+name+"'.");
         }
+
+        actions[name] = func;
+
+        return true;
     }
 
 
 
-    // This procedure doesn't check if the given `state_obj.url` is
-    // in the cache. The process of making a request, handling the
-    // response, and adding to the cache only occurrs when the cache
-    // doesn't contain the current URL.
-    function addBodyToCache(state_obj) {
-        var added = false;
+    function unregisterAction(name) {
+        if (actions.hasOwnProperty(name)) {
+            if (conf.log) {
+                console.log("Unregistering action '"+name+"'.");
+            }
 
-        if (conf.cache < 0) {
-            url_cache[state_obj.url] = state_obj.body;
-            added = true;
+            delete actions[name];
+            return true;
         }
 
-        else if (conf.cache > 0) {
-            var cache_size = Object.keys(url_cache).length;
+        return false;
+    }
 
-            if (cache_size < conf.cache) {
-                url_cache[state_obj.url] = state_obj.body;
-                added = true;
-            }
 
-            else if (cache_size >= conf.cache) {
-                var n = (cache_size - conf.cache) + 1;
 
-                if (conf.log) {
-                    console.log("Removing entries from cache: over limit by "+n+".");
-                }
+    // Pass this an array of route objects, each with a `pattern` and,
+    // optionally, a `target` and `action`. These replace any routes
+    // already set. Returns the number of routes set.
+    function setRoutes(routes) {
+        route_table = [ ];
 
-                for (var o = 0; o < n; o++) {
-                    var key = Object.keys(url_cache).shift();
-                    delete url_cache[key];
-                }
+        (routes || [ ]).forEach(function (route) {
+            if ((!route) || (typeof route.pattern != 'string')) {
+                console.log("MAJOR MALFUNCTION: each route needs a `pattern` string.");
+                return;
             }
-        }
 
-        else {
             if (conf.log) {
-                console.log("Cache limit is 0. Not adding entry to cache for '"+state_obj.url+"'.");
+                console.log("Adding route '"+route.pattern+"'.");
             }
-        }
 
-        if (added && conf.log) {
-            console.log("Adding entry to cache for '"+state_obj.url+"'.");
-            console.log("Current cache:");
-            console.log(url_cache);
-        }
+            route_table.push(compileRoute(route));
+        });
+
+        return route_table.length;
     }
 
 
 
-    function getBodyFromCache(url) {
-        if (url in url_cache) {
-            if (conf.log) {
-                console.log("Checking '" + url + "': exists in cache.");
-            }
+    // A pattern like `/posts/:id` will match `/posts/12` and name
+    // `12` the `id` param. A `*` will match the rest of the path.
+    function compileRoute(route) {
+        var keys = [ ];
 
-            return url_cache[url];
-        }
+        var source = route.pattern
+            .replace(/\/+$/, '')
+            .split('/')
+            .map(function (part) {
+                if (part.charAt(0) == ':') {
+                    keys.push(part.substr(1));
+                    return '([^/]+)';
+                }
+                else if (part == '*') {
+                    return '.*';
+                }
 
-        else {
-            if (conf.log) {
-                console.log("Checking '" + url + "': doesn't exist in cache.");
-            }
+                return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('/');
 
-            return false;
-        }
+        return {
+            pattern: route.pattern,
+            regex: new RegExp('^' + source + '/?$'),
+            keys: keys,
+            target: route.target || null,
+            action: route.action || null
+        };
     }
 
 
 
-    function touchLinksInRegion(element) {
-        if (conf.log) {
-            console.log("Checking the region's links.");
+    // Returns the first route matching the URL's path, with its
+    // `params`, or null if none match.
+    function matchRoute(url) {
+        if (route_table.length == 0) {
+            return null;
         }
 
-        // For internal navigation.
-        if (conf.log) {
-            console.log("Adding 'click' listeners to inbound links.");
-        }
+        var path = new URL(url, window.location.href).pathname;
 
-        Utils.addListeners(element.getElementsByClassName(conf.link_class_inbound),
-                           handleClick);
+        for (var o = 0; o < route_table.length; o++) {
+            var match = path.match(route_table[o].regex);
 
-        // For outbound links.
-        if (conf.outbound_attr_name && conf.outbound_attr_value) {
-            if (conf.log) {
-                console.log("Adding '"+conf.outbound_attr_name+
-                            "=\""+conf.outbound_attr_value+"\"' attributes to outbound links.");
-            }
+            if (match) {
+                var params = { };
 
-            Clattr.add(element.getElementsByClassName(conf.link_class_outbound),
-                       conf.outbound_attr_value,
-                       conf.outbound_attr_name);
-        }
-        else {
-            if (conf.log) {
-                console.log("Not adding attributes to outbound links.");
+                route_table[o].keys.forEach(function (key, i) {
+                    // A malformed segment is kept as is.
+                    try {
+                        params[key] = decodeURIComponent(match[i + 1]);
+                    }
+                    catch (error) {
+                        params[key] = match[i + 1];
+                    }
+                });
+
+                return {route: route_table[o], params: params};
             }
         }
+
+        return null;
     }
 
 
 
-    // This occurs onpopstate, so no history should be pushed.
-    function handlePop(event) {
-        if ((event.state) && (body = getBodyFromCache(event.state.url))) {
-            if (conf.log) {
-                console.log("Popping '"+event.state.url+"' from cache.");
-            }
+    // Fills the state's target and action from the matching route,
+    // if they're missing, and sets its `params`.
+    function applyRoute(state_obj) {
+        var matched = matchRoute(state_obj.url);
 
-            var state_obj = makeStateObject(event.state.url,
-                                            body,
-                                            event.state.target_id,
-                                            event.state.action);
-            makeStateCurrent(state_obj, false);
+        if (!matched) {
+            return state_obj;
         }
 
-        else if (event.state.url) {
-            if (event.state.target_id || event.state.action) {
-                if (conf.log) {
-                    console.log("Popping '"+event.state.url+"' from history but need body from server.");
-                }
-
-                async_keep[event.state.url] = makeAsyncObject(event.state, false);
-                requestAndHandle(event.state.url);
-            }
-
-            else {
-                if (conf.log) {
-                    console.log("No state for '"+event.state.url+"'. Handling URL like linkless click.");
-                }
-
-                async_keep[event.state.url] = makeAsyncObject(makeStateObject(event.state.url));
-                requestAndHandle(event.state.url);
-            }
+        if (conf.log) {
+            console.log("Matched route '"+matched.route.pattern+"' for '"+state_obj.url+"'.");
         }
 
-        else {
-            if (conf.log) {
-                console.log("Major weirdness. Making the request, hoping for the best.");
-            }
+        state_obj.params = matched.params;
 
-            async_keep[window.location.href] = makeAsyncObject(makeStateObject(window.location.href));
-            requestAndHandle(window.location.href);
+        if ((state_obj.target_ids.length == 0) && (matched.route.target)) {
+            state_obj.target_ids = parseTargetIds(matched.route.target);
+            state_obj.target_id = (state_obj.target_ids.length > 0) ? state_obj.target_ids[0] : null;
         }
-    }
-
-
 
-    function handleClick(event) {
-        if (conf.log) {
-            console.log("Handling click.");
+        if ((!state_obj.action) && (matched.route.action)) {
+            state_obj.action = matched.route.action;
         }
 
-        event.preventDefault();
+        return state_obj;
+    }
 
-        var ref = (event.target) ? event.target : event.srcElement;
-        var link = Utils.getNearestParentByTagname(ref, 'a');
 
-        var fixed_url = Utils.prefixUrl(link.getAttribute('href'));
 
-        if (body = getBodyFromCache(fixed_url)) {
-            if (conf.log) {
-                console.log("Got body for '" + fixed_url + "' from cache.");
-            }
+    // Pass this a function or the name of one. Names are resolved
+    // against the registered actions first, then, if allowed, against
+    // the global functions. If no function can be found, this will
+    // return null.
+    function resolveAction(func) {
+        var fx = null;
 
-            var state_obj = makeStateObjectFromLink(link);
-            state_obj.body = body;
-            makeStateCurrent(state_obj, shouldMakeHistory(link));
+        if (typeof func == 'function') {
+            fx = func;
         }
 
-        else {
-            if (conf.log) {
-                console.log("No entry for '" + fixed_url + "' in cache.");
+        else if (typeof func == 'string') {
+            if (actions.hasOwnProperty(func)) {
+                fx = actions[func];
+            }
+
+            else if (conf.global_actions) {
+                fx = helpers.stringToFunction(func);
             }
+        }
 
-            async_keep[fixed_url] = (makeAsyncObject(makeStateObjectFromLink(link),
-                                                     shouldMakeHistory(link),
-                                                     shouldCache(link)));
-            requestAndHandle(fixed_url);
+        if (typeof fx != 'function') {
+            console.log("MAJOR MALFUNCTION: can't resolve action '"+actionName(func)+"' to a function.");
+            fx = null;
         }
-    }
 
+        return fx;
+    }
 
 
-    function requestAndHandle(url) {
-        if (conf.log) {
-            console.log("Sending GET request to " + url);
-        }
 
-        Http.get({url: url, callback: handleReturn, send_url: true});
+    function actionName(func) {
+        return (typeof func == 'function') ? (func.name || 'anonymous function') : String(func);
     }
 
 
 
-    function handleReturn(response, url) {
+    // This calls the hooks for the named event with the `detail`
+    // object, then dispatches the matching DOM event on the element.
+    // It returns false if the event was canceled, true otherwise.
+    function emitEvent(name, detail, element) {
+        var proceed = true,
+            cancelable = (name == 'beforeNavigate');
+
+        detail.type = name;
+
         if (conf.log) {
-            console.log("Handling server return from '"+url+"':");
-            console.log(response);
+            console.log("Emitting '"+name+"' event.");
         }
 
-        if (typeof conf.response_transform == 'function') {
-            response = conf.response_transform(response);
+        if (hooks[name]) {
+            // Copied in case a hook removes itself. A hook that throws
+            // won't stop the others, or the navigation.
+            hooks[name].slice().forEach(function (func) {
+                try {
+                    if ((func(detail) === false) && (cancelable)) {
+                        proceed = false;
+                    }
+                }
+                catch (error) {
+                    console.log("MAJOR MALFUNCTION: a hook for '"+name+"' threw an error.");
+                    console.log(error);
+                }
+            });
         }
 
-        var body = (conf.response_key_body) ? response[conf.response_key_body] : response;
+        if (conf.event_prefix) {
+            var evt = makeCustomEvent(conf.event_prefix + name, detail, cancelable);
 
-        if (async_keep[url]) {
-            async_keep[url].state.body = body;
-
-            if (async_keep[url].cache) {
-                addBodyToCache(async_keep[url].state);
+            if ((!(element || document).dispatchEvent(evt)) && (cancelable)) {
+                proceed = false;
             }
+        }
 
-            makeStateCurrent(async_keep[url].state, async_keep[url].record);
+        if (conf.log && !proceed) {
+            console.log("The '"+name+"' event was canceled.");
+        }
 
-            if (async_keep[url].state.target_id) {
-                touchLinksInRegion(document.getElementById(async_keep[url].state.target_id));
-            }
+        return proceed;
+    }
+
+
+
+    function makeCustomEvent(name, detail, cancelable) {
+        if (typeof window.CustomEvent == 'function') {
+            return new CustomEvent(name, {
+                bubbles: true,
+                cancelable: cancelable,
+                detail: detail
+            });
+        }
+
+        else {
+            var evt = document.createEvent('CustomEvent');
+            evt.initCustomEvent(name, true, cancelable, detail);
+            return evt;
+        }
+    }
+
+
+
+    // Events are dispatched on the state's first target element, if
+    // there is one. Its body might not be known yet.
+    function getEventElement(state_obj) {
+        var target_ids = (state_obj) ? parseTargetIds(state_obj.target_ids || state_obj.target_id) : [ ];
+
+        if (target_ids.length == 0 && conf.default_target_id) {
+            target_ids = parseTargetIds(conf.default_target_id);
+        }
+
+        return ((target_ids.length > 0) && (document.getElementById(target_ids[0]))) || document;
+    }
+
+
+
+    // For the first entry, use replaceState. If you use pushState,
+    // there will be one too many entries in the array.
+    // Also, the `target_id` and `func` parameters are optional. But
+    // if they are present, both should be strings.
+    function setInitialState(url, body, target_id, func, call_func) {
+        var state_obj = makeStateObject(url, body, target_id, func);
+        state_obj.title = document.title;
+        state_obj.head = captureHead();
+        current_head = state_obj.head;
+        initial_head = state_obj.head;
+
+        if (conf.log) {
+            console.log("Replacing first history entry for '" + state_obj.url + "'.");
+        }
+
+        // If the page was reloaded, its entry will keep its position.
+        if ((window.history.state) && (typeof window.history.state.index == 'number')) {
+            history_index = window.history.state.index;
+        }
+
+        shown_index = history_index;
+        shown_url = state_obj.url;
+
+        window.history.replaceState(prepStateForHistory(state_obj), '', state_obj.url);
+
+        if (conf.cache) {
+            addBodyToCache(state_obj);
+        }
+
+        // This is useful for cases in which the initial state is
+        // set by the server, so the page is ready to go and needs
+        // no modification, but might want to use a function other
+        // than the default for handling this state.
+        if (call_func) {
+            makeStateCurrent(state_obj, false);
+        }
+    }
+
+
+
+    // Nulls for the `target_id` and `func` values will result in
+    // their defaults being checked/used during instatement. The
+    // `target_id` can be a single ID, several IDs separated by
+    // spaces, or an array of IDs. The `title` is filled in later,
+    // if the response names one.
+    function makeStateObject(url, body, target_id, func) {
+        var target_ids = parseTargetIds(target_id);
+        func = (typeof func == 'string') ? func : null;
+
+        var state_obj = {
+            target_id: (target_ids.length > 0) ? target_ids[0] : null,
+            target_ids: target_ids,
+            url: helpers.prefixUrl(url),
+            action: func,
+            body: body,
+            title: null,
+            head: null,
+            format: null,
+            select: null,
+            swap: null,
+            params: { }
+        }
+
+        return applyRoute(state_obj);
+    }
+
+
+
+    function parseTargetIds(target_id) {
+        var ids = [ ];
+
+        if (typeof target_id == 'string') {
+            ids = target_id.split(/\s+/);
+        }
+        else if (Array.isArray(target_id)) {
+            ids = target_id;
+        }
+
+        return ids.filter(function (id) {
+            return ((typeof id == 'string') && (id.length > 0));
+        });
+    }
+
+
+
+    // Pass this a link element. Forms pass their own URL.
+    function makeStateObjectFromLink(link, url) {
+        url = url || link.getAttribute('href') || null;
+        var func = link.getAttribute(conf.link_attr_action) || null;
+        var target_id = link.getAttribute(conf.link_attr_target) || null;
+
+        var state_obj = makeStateObject(url, null, target_id, func);
+        state_obj.format = link.getAttribute(conf.link_attr_format) || null;
+        state_obj.select = link.getAttribute(conf.link_attr_select) || null;
+        state_obj.swap = link.getAttribute(conf.link_attr_swap) || null;
+
+        return state_obj;
+    }
+
+
+
+    // Pass this an entry from the `window.history` stack.
+    function makeStateObjectFromHistory(entry) {
+        var state_obj = makeStateObject(entry.url,
+                                        null,
+                                        (entry.target_ids || entry.target_id),
+                                        entry.action);
+        state_obj.title = entry.title || null;
+        state_obj.format = entry.format || null;
+        state_obj.select = entry.select || null;
+        state_obj.head = entry.head || null;
+
+        return state_obj;
+    }
+
+
+
+    // Pass this a state object and two optional values indicating
+    // (1) whether and how the state should be recorded (true or `push`,
+    // `replace`, or false), and (2) whether the return should be
+    // cached. The optional `on_error` names the function to call if
+    // the request fails.
+    function makeAsyncObject(state, record, cache, on_error) {
+        record = normalizeRecord(record);
+
+        if (typeof cache == 'undefined') {
+            cache = (conf.cache == 0) ? false : true;
+        }
+
+        return {
+            state: state,
+            record: record,
+            cache: cache,
+            on_error: on_error || null
+        }
+    }
+
+
+
+    function normalizeRecord(record) {
+        if ((record == 'replace') || (record == 'push')) {
+            return record;
+        }
+
+        return ((record) && (record != 'none')) ? 'push' : false;
+    }
+
+
+
+    // This procedure doesn't check if the given `state_obj.url` is
+    // in the cache. The process of making a request, handling the
+    // response, and adding to the cache only occurrs when the cache
+    // doesn't contain the current URL. The optional `ttl` is the
+    // number of seconds the entry should live. If it's false, then
+    // the entry won't be cached at all.
+    function addBodyToCache(state_obj, ttl) {
+        if (conf.cache == 0) {
+            if (conf.log) {
+                console.log("Cache limit is 0. Not adding entry to cache for '"+state_obj.url+"'.");
+            }
+
+            return false;
+        }
+
+        if (typeof ttl != 'number') {
+            ttl = (ttl === false) ? false : conf.cache_ttl;
+        }
+
+        if ((ttl === false) || (ttl < 0)) {
+            if (conf.log) {
+                console.log("Not adding entry to cache for '"+state_obj.url+"': the response says not to.");
+            }
+
+            return false;
+        }
+
+        var entry = {
+            body: state_obj.body,
+            title: state_obj.title || null,
+            head: state_obj.head || null,
+            stored: Date.now(),
+            expires: (ttl > 0) ? (Date.now() + (ttl * 1000)) : 0,
+            bytes: measureBody(state_obj.body)
+        };
+
+        if ((conf.cache_max_bytes > 0) && (entry.bytes > conf.cache_max_bytes)) {
+            if (conf.log) {
+                console.log("Not adding entry to cache for '"+state_obj.url+"': it's over the byte budget.");
+            }
+
+            return false;
+        }
+
+        insertCacheEntry(state_obj.url, entry);
+        getCacheStore().save(state_obj.url, entry);
+        noteSeenUrl(state_obj.url);
+
+        trimCache();
+
+        if (conf.log) {
+            console.log("Adding entry to cache for '"+state_obj.url+"'.");
+            console.log("Current cache:");
+            console.log(url_cache);
+        }
+
+        return true;
+    }
+
+
+
+    // The entries in `url_cache` are kept in order of use, so the
+    // first entry is always the least recently used one. So that's
+    // the one to remove when the cache is over its limits.
+    function trimCache() {
+        var keys = Object.keys(url_cache);
+
+        while ((keys.length > 0) &&
+               (((conf.cache > 0) && (keys.length > conf.cache)) ||
+                ((conf.cache_max_bytes > 0) && (cache_bytes > conf.cache_max_bytes)))) {
+            if (conf.log) {
+                console.log("Removing least recently used entry from cache: '"+keys[0]+"'.");
+            }
+
+            removeFromCache(keys.shift());
+        }
+    }
+
+
+
+    // Removing the old entry first moves it to the end of the line.
+    function insertCacheEntry(url, entry) {
+        dropCacheEntry(url);
+
+        url_cache[url] = entry;
+        cache_bytes += entry.bytes;
+    }
+
+
+
+    // This removes the entry from memory only.
+    function dropCacheEntry(url) {
+        if (url_cache.hasOwnProperty(url)) {
+            cache_bytes -= url_cache[url].bytes;
+            delete url_cache[url];
+            return true;
+        }
+
+        return false;
+    }
+
+
+
+    // And this removes it from the persistent store too.
+    function removeFromCache(url) {
+        getCacheStore().remove(url);
+
+        return dropCacheEntry(url);
+    }
+
+
+
+    function clearCache() {
+        if (conf.log) {
+            console.log("Clearing the cache.");
+        }
+
+        url_cache = { };
+        cache_bytes = 0;
+
+        getCacheStore().clear();
+    }
+
+
+
+    // This fills the `url_cache` with the persisted entries. Entries
+    // already in memory are newer, so they're kept.
+    function loadPersistedCache() {
+        getCacheStore().load(function (entries) {
+            var urls = Object.keys(entries).sort(function (a, b) {
+                return (entries[a].stored - entries[b].stored);
+            });
+
+            // Persisted entries are older than those in memory, so
+            // they go to the front of the line.
+            var newer = url_cache,
+                loaded = 0;
+
+            url_cache = { };
+
+            urls.forEach(function (url) {
+                var entry = entries[url];
+
+                if ((!newer.hasOwnProperty(url)) &&
+                    ((entry.expires == 0) || (entry.expires > Date.now()))) {
+                    url_cache[url] = entry;
+                    cache_bytes += entry.bytes;
+                    loaded += 1;
+                }
+            });
+
+            Object.keys(newer).forEach(function (url) {
+                url_cache[url] = newer[url];
+            });
+
+            if (conf.log) {
+                console.log("Loaded "+loaded+" persisted entries into the cache.");
+            }
+
+            trimCache();
+        });
+    }
+
+
+
+    // The store is made when it's first needed, and remade if the
+    // storage settings change.
+    function getCacheStore() {
+        var key = [conf.cache_storage, conf.cache_storage_prefix, conf.cache_storage_version].join(':');
+
+        if ((cache_store) && (cache_store.conf_key == key)) {
+            return cache_store.store;
+        }
+
+        var store = null;
+
+        if ((conf.cache_storage) && (typeof conf.cache_storage == 'object')) {
+            store = conf.cache_storage;
+        }
+        else if (conf.cache_storage == 'session') {
+            store = makeSessionStore(conf.cache_storage_prefix, conf.cache_storage_version);
+        }
+        else if (conf.cache_storage == 'indexeddb') {
+            store = makeIndexedDbStore(conf.cache_storage_prefix, conf.cache_storage_version);
+        }
+
+        if (!store) {
+            if (conf.log && (conf.cache_storage != 'memory')) {
+                console.log("Can't use '"+conf.cache_storage+"' for the cache. Keeping it in memory.");
+            }
+
+            store = makeMemoryStore();
+        }
+
+        cache_store = {conf_key: key, store: store};
+
+        return store;
+    }
+
+
+
+    // Every store has these five methods. Since the `url_cache` is
+    // always in memory, the memory store has nothing to do.
+    // - load, which passes an object correlating URLs with entries
+    //   to the given function
+    // - get, which passes the entry for the URL, or null, to the
+    //   given function
+    // - save, which stores the entry for the URL
+    // - remove, which removes the entry for the URL
+    // - clear, which removes all the entries
+    function makeMemoryStore() {
+        return {
+            load: function (done) { done({ }); },
+            get: function (url, done) { done(null); },
+            save: function (url, entry) { },
+            remove: function (url) { },
+            clear: function () { }
+        };
+    }
+
+
+
+    function makeSessionStore(prefix, version) {
+        var storage = null;
+
+        // Some browsers throw on merely checking sessionStorage when
+        // cookies are blocked.
+        try {
+            storage = window.sessionStorage;
+            storage.setItem(prefix + ':test', '1');
+            storage.removeItem(prefix + ':test');
+        }
+        catch (error) {
+            return null;
+        }
+
+        var key_prefix = prefix + ':' + version + ':';
+
+        var ownKeys = function (all_versions) {
+            var keys = [ ];
+
+            for (var o = 0; o < storage.length; o++) {
+                var key = storage.key(o);
+
+                if ((key.indexOf(prefix + ':') == 0) &&
+                    ((all_versions) || (key.indexOf(key_prefix) == 0))) {
+                    keys.push(key);
+                }
+            }
+
+            return keys;
+        };
+
+        var read = function (key) {
+            try {
+                return JSON.parse(storage.getItem(key));
+            }
+            catch (error) {
+                return null;
+            }
+        };
+
+        return {
+            load: function (done) {
+                var entries = { };
+
+                ownKeys(true).forEach(function (key) {
+                    var entry = (key.indexOf(key_prefix) == 0) ? read(key) : null;
+
+                    if (entry) {
+                        entries[key.substr(key_prefix.length)] = entry;
+                    }
+                    else {
+                        storage.removeItem(key);
+                    }
+                });
+
+                done(entries);
+            },
+
+            get: function (url, done) {
+                done(read(key_prefix + url));
+            },
+
+            save: function (url, entry) {
+                var value = JSON.stringify(entry);
+
+                try {
+                    storage.setItem(key_prefix + url, value);
+                }
+
+                catch (error) {
+                    // Probably over quota. Make room by removing the
+                    // oldest half of the entries, then try once more.
+                    if (conf.log) {
+                        console.log("Can't persist '"+url+"'. Removing older entries and retrying.");
+                    }
+
+                    var keys = ownKeys(false).sort(function (a, b) {
+                        return (((read(a) || { }).stored || 0) - ((read(b) || { }).stored || 0));
+                    });
+
+                    keys.slice(0, Math.ceil(keys.length / 2)).forEach(function (key) {
+                        storage.removeItem(key);
+                    });
+
+                    try {
+                        storage.setItem(key_prefix + url, value);
+                    }
+                    catch (error) {
+                        console.log("FAILURE: can't persist '"+url+"'. It will be cached in memory only.");
+                    }
+                }
+            },
+
+            remove: function (url) {
+                storage.removeItem(key_prefix + url);
+            },
+
+            clear: function () {
+                ownKeys(true).forEach(function (key) {
+                    storage.removeItem(key);
+                });
+            }
+        };
+    }
+
+
+
+    // The database is opened when it's first needed. Until then, the
+    // calls wait in line.
+    function makeIndexedDbStore(prefix, version) {
+        // As with sessionStorage, merely checking can throw.
+        try {
+            if (!window.indexedDB) {
+                return null;
+            }
+        }
+        catch (error) {
+            return null;
+        }
+
+        var db = null,
+            waiting = [ ],
+            store_name = 'entries';
+
+        var withDb = function (fx) {
+            if (db === null) {
+                waiting.push(fx);
+
+                if (waiting.length == 1) {
+                    var request = null;
+
+                    // This throws in sandboxed frames and opaque origins.
+                    try {
+                        request = window.indexedDB.open(prefix, 1);
+                    }
+                    catch (error) {
+                        console.log("FAILURE: can't open IndexedDB. The cache will be kept in memory only.");
+                        db = false;
+                        waiting.splice(0).forEach(function (fx) { fx(db); });
+                        return;
+                    }
+
+                    request.onupgradeneeded = function () {
+                        request.result.createObjectStore(store_name);
+                    };
+
+                    request.onsuccess = function () {
+                        db = request.result;
+                        waiting.splice(0).forEach(function (fx) { fx(db); });
+                    };
+
+                    request.onerror = function () {
+                        console.log("FAILURE: can't open IndexedDB. The cache will be kept in memory only.");
+                        db = false;
+                        waiting.splice(0).forEach(function (fx) { fx(db); });
+                    };
+                }
+            }
+
+            else {
+                fx(db);
+            }
+        };
+
+        var put = function (url, entry, retry) {
+            withDb(function (db) {
+                if (!db) {
+                    return;
+                }
+
+                var failed = false,
+                    tx = db.transaction(store_name, 'readwrite');
+
+                // A quota error aborts the transaction, and might not
+                // fire `error` first, so both are handled, once.
+                var fail = function (event) {
+                    if (failed) {
+                        return;
+                    }
+
+                    failed = true;
+
+                    if ((event) && (typeof event.preventDefault == 'function')) {
+                        event.preventDefault();
+                    }
+
+                    // Probably over quota. Make room by removing the
+                    // oldest half of the entries, then try once more.
+                    if (retry) {
+                        if (conf.log) {
+                            console.log("Can't persist '"+url+"'. Removing older entries and retrying.");
+                        }
+
+                        evictOldest(db, function () {
+                            put(url, entry, false);
+                        });
+                    }
+                    else {
+                        console.log("FAILURE: can't persist '"+url+"'. It will be cached in memory only.");
+                    }
+                };
+
+                tx.onerror = fail;
+                tx.onabort = fail;
+
+                tx.objectStore(store_name).put({version: version, entry: entry}, url);
+            });
+        };
+
+        var evictOldest = function (db, done) {
+            var found = [ ],
+                tx = db.transaction(store_name, 'readwrite'),
+                store = tx.objectStore(store_name),
+                request = store.openCursor();
+
+            request.onsuccess = function () {
+                var cursor = request.result;
+
+                if (cursor) {
+                    found.push({
+                        key: cursor.key,
+                        stored: ((cursor.value) && (cursor.value.entry)) ? (cursor.value.entry.stored || 0) : 0
+                    });
+
+                    cursor.continue();
+                }
+
+                else {
+                    found.sort(function (a, b) { return (a.stored - b.stored); });
+
+                    found.slice(0, Math.ceil(found.length / 2)).forEach(function (item) {
+                        store.delete(item.key);
+                    });
+                }
+            };
+
+            tx.oncomplete = done;
+            tx.onabort = done;
+        };
+
+        return {
+            load: function (done) {
+                withDb(function (db) {
+                    if (!db) {
+                        done({ });
+                        return;
+                    }
+
+                    var entries = { },
+                        tx = db.transaction(store_name, 'readwrite'),
+                        request = tx.objectStore(store_name).openCursor();
+
+                    request.onsuccess = function () {
+                        var cursor = request.result;
+
+                        if (cursor) {
+                            if ((cursor.value) && (cursor.value.version === version)) {
+                                entries[cursor.key] = cursor.value.entry;
+                            }
+                            else {
+                                cursor.delete();
+                            }
+
+                            cursor.continue();
+                        }
+                    };
+
+                    tx.oncomplete = function () {
+                        done(entries);
+                    };
+
+                    tx.onerror = function () {
+                        done({ });
+                    };
+                });
+            },
+
+            get: function (url, done) {
+                withDb(function (db) {
+                    if (!db) {
+                        done(null);
+                        return;
+                    }
+
+                    var request = db.transaction(store_name).objectStore(store_name).get(url);
+
+                    request.onsuccess = function () {
+                        var value = request.result;
+                        done(((value) && (value.version === version)) ? value.entry : null);
+                    };
+
+                    request.onerror = function () {
+                        done(null);
+                    };
+                });
+            },
+
+            save: function (url, entry) {
+                put(url, entry, true);
+            },
+
+            remove: function (url) {
+                withDb(function (db) {
+                    if (db) {
+                        db.transaction(store_name, 'readwrite').objectStore(store_name).delete(url);
+                    }
+                });
+            },
+
+            clear: function () {
+                withDb(function (db) {
+                    if (db) {
+                        db.transaction(store_name, 'readwrite').objectStore(store_name).clear();
+                    }
+                });
+            }
+        };
+    }
+
+
+
+    // The pattern can be a RegExp to test each URL against, a function
+    // that receives each URL and returns true for the ones to remove,
+    // or a string that the URLs to remove start with. The string is
+    // matched on a path boundary, so `/posts` covers `/posts/1` and
+    // `/posts?page=2`, but not `/postscript`. This returns the number
+    // of entries removed.
+    function invalidateCache(pattern) {
+        var test = null;
+
+        if (pattern instanceof RegExp) {
+            test = function (url) { return pattern.test(url); };
+        }
+        else if (typeof pattern == 'function') {
+            test = pattern;
+        }
+        else if (typeof pattern == 'string') {
+            var prefix = helpers.prefixUrl(pattern);
+            test = function (url) {
+                if (url.indexOf(prefix) != 0) {
+                    return false;
+                }
+
+                var next = url.charAt(prefix.length);
+
+                return ((next == '') || (/[\/?#]$/.test(prefix)) || ('/?#'.indexOf(next) > -1));
+            };
+        }
+        else {
+            console.log("MAJOR MALFUNCTION: can't invalidate the cache with that pattern.");
+            return 0;
+        }
+
+        var removed = Object.keys(url_cache).filter(test);
+
+        removed.forEach(function (url) {
+            if (conf.log) {
+                console.log("Invalidating cache entry for '"+url+"'.");
+            }
+
+            removeFromCache(url);
+        });
+
+        return removed.length;
+    }
+
+
+
+    // This is an estimate, but it's the string length that counts.
+    function measureBody(body) {
+        var str = (typeof body == 'string') ? body : JSON.stringify(body);
+        return (str) ? (str.length * 2) : 0;
+    }
+
+
+
+    function getBodyFromCache(url) {
+        var entry = getEntryFromCache(url);
+
+        return (entry) ? entry.body : false;
+    }
+
+
+
+    // This fills the state object with what the cache entry holds.
+    function applyCacheEntry(state_obj, entry) {
+        state_obj.body = entry.body;
+
+        if (entry.title) {
+            state_obj.title = entry.title;
+        }
+
+        if (entry.head) {
+            state_obj.head = entry.head;
+        }
+
+        return state_obj;
+    }
+
+
+
+    // Hits move the entry to the end of the line. Expired entries are
+    // removed and count as misses, unless `stale` is true.
+    function getEntryFromCache(url, stale) {
+        if (url_cache.hasOwnProperty(url)) {
+            var entry = url_cache[url];
+
+            if ((!stale) && (entry.expires > 0) && (entry.expires <= Date.now())) {
+                if (conf.log) {
+                    console.log("Checking '" + url + "': expired in cache.");
+                }
+
+                removeFromCache(url);
+                return false;
+            }
+
+            if (conf.log) {
+                console.log("Checking '" + url + "': exists in cache.");
+            }
+
+            delete url_cache[url];
+            url_cache[url] = entry;
+
+            return entry;
+        }
+
+        else {
+            if (conf.log) {
+                console.log("Checking '" + url + "': doesn't exist in cache.");
+            }
+
+            return false;
+        }
+    }
+
+
+
+    // Pass this the value of a `Cache-Control` header, or a number of
+    // seconds. This returns the number of seconds the response can be
+    // cached for, false if it can't be cached, or null if the value
+    // doesn't say.
+    function parseCacheTtl(value) {
+        if (typeof value == 'number') {
+            return (value > 0) ? value : false;
+        }
+
+        if (typeof value != 'string') {
+            return null;
+        }
+
+        if (/(^|,)\s*(no-store|no-cache)\s*(,|$)/i.test(value)) {
+            return false;
+        }
+
+        var max_age = value.match(/(^|,)\s*max-age\s*=\s*(\d+)/i);
+
+        if (max_age) {
+            return (parseInt(max_age[2], 10) > 0) ? parseInt(max_age[2], 10) : false;
+        }
+
+        return null;
+    }
+
+
+
+    // This removes the listeners that `touchLinksInRegion` and
+    // `bindPrefetch` add.
+    function untouchLinksInRegion(element) {
+        var inbound = getInboundElements(element);
+
+        for (var o = 0; o < inbound.length; o++) {
+            inbound[o].removeEventListener('submit', handleSubmit);
+            inbound[o].removeEventListener('click', handleClick);
+            inbound[o].removeEventListener('mouseenter', handlePrefetchHover);
+            inbound[o].removeEventListener('mouseleave', handlePrefetchLeave);
+            inbound[o].removeEventListener('touchstart', handlePrefetchIntent);
+            inbound[o].removeEventListener('focus', handlePrefetchIntent);
+        }
+    }
+
+
+
+    // This undoes `init`: it removes all the listeners, cancels any
+    // pending navigations and prefetches, and removes all the hooks.
+    // The cache is left as is.
+    function destroy() {
+        if (conf.log) {
+            console.log("Destroying this instance.");
+        }
+
+        beginNavigation();
+
+        Object.keys(prefetch_keep).forEach(function (url) {
+            if (typeof prefetch_keep[url].abort == 'function') {
+                prefetch_keep[url].abort();
+            }
+        });
+
+        Object.keys(prefetch_timers).forEach(function (href) {
+            window.clearTimeout(prefetch_timers[href]);
+        });
+
+        prefetch_keep = { };
+        prefetch_queue = [ ];
+        prefetch_timers = { };
+
+        if (prefetch_observer) {
+            prefetch_observer.disconnect();
+            prefetch_observer = null;
+        }
+
+        window.clearTimeout(scroll_timer);
+        scroll_timer = null;
+
+        unbindDelegates();
+        untouchLinksInRegion(document);
+
+        window.removeEventListener('scroll', handleScroll, true);
+        window.removeEventListener('popstate', handlePop);
+        window.removeEventListener('online', handleOnline);
+
+        if (async_keep[retry_id]) {
+            var retry = async_keep[retry_id];
+            setBusy(retry.state, false);
+            setLoading(retry, false);
+            delete async_keep[retry_id];
+
+            if ((retry.request) && (typeof retry.request.abort == 'function')) {
+                retry.request.abort();
+            }
+
+            retry_queue.unshift(retry.retry);
+        }
+
+        retry_queue.forEach(function (keep) {
+            if (keep.done) {
+                keep.done(null, false);
+            }
+        });
+
+        retry_queue = [ ];
+        retrying = false;
+
+        hooks = { };
+        snapshots = [ ];
+    }
+
+
+
+    function touchLinksInRegion(element) {
+        if (conf.log) {
+            console.log("Checking the region's links.");
+        }
+
+        // Clicks are handled by the document, but visible links still
+        // need to be observed for prefetching.
+        if (delegated) {
+            var candidates = getInboundElements(element);
+
+            for (var o = 0; o < candidates.length; o++) {
+                if (candidates[o].tagName.toLowerCase() != 'form') {
+                    bindPrefetch(candidates[o], true);
+                }
+            }
+
+            return;
+        }
+
+        // For internal navigation.
+        if (conf.log) {
+            console.log("Adding 'click' listeners to inbound links.");
+        }
+
+        var inbound = getInboundElements(element),
+            links = [ ];
+
+        for (var o = 0; o < inbound.length; o++) {
+            if (inbound[o].tagName.toLowerCase() == 'form') {
+                inbound[o].addEventListener('submit', handleSubmit);
+            }
+            else {
+                links.push(inbound[o]);
+                bindPrefetch(inbound[o]);
+            }
+        }
+
+        helpers.addListeners(links, handleClick);
+
+        // For outbound links.
+        if (conf.outbound_attr_name && conf.outbound_attr_value) {
+            if (conf.log) {
+                console.log("Adding '"+conf.outbound_attr_name+
+                            "=\""+conf.outbound_attr_value+"\"' attributes to outbound links.");
+            }
+
+            helpers.addAttribute(element.getElementsByClassName(conf.link_class_outbound),
+                                 conf.outbound_attr_value,
+                                 conf.outbound_attr_name);
+        }
+        else {
+            if (conf.log) {
+                console.log("Not adding attributes to outbound links.");
+            }
+        }
+    }
+
+
+
+    function unbindDelegates() {
+        if (!delegated) {
+            return;
+        }
+
+        if (conf.log) {
+            console.log("Removing delegated listeners from the document.");
+        }
+
+        document.removeEventListener('click', handleDelegatedClick);
+        document.removeEventListener('submit', handleDelegatedSubmit);
+        document.removeEventListener('mouseover', handleDelegatedPrefetch);
+        document.removeEventListener('mouseout', handleDelegatedPrefetch);
+        document.removeEventListener('touchstart', handleDelegatedPrefetch);
+        document.removeEventListener('focusin', handleDelegatedPrefetch);
+
+        delegated = false;
+    }
+
+
+
+    function bindDelegates() {
+        if (delegated) {
+            return;
+        }
+
+        if (conf.log) {
+            console.log("Adding delegated listeners to the document.");
+        }
+
+        document.addEventListener('click', handleDelegatedClick);
+        document.addEventListener('submit', handleDelegatedSubmit);
+        document.addEventListener('mouseover', handleDelegatedPrefetch);
+        document.addEventListener('mouseout', handleDelegatedPrefetch);
+        document.addEventListener('touchstart', handleDelegatedPrefetch);
+        document.addEventListener('focusin', handleDelegatedPrefetch);
+
+        delegated = true;
+    }
+
+
+
+    function handleDelegatedClick(event) {
+        if (event.defaultPrevented) {
+            return;
+        }
+
+        var ref = (event.target) ? event.target : event.srcElement;
+        var link = findInbound(ref);
+
+        if ((link) && (link.tagName.toLowerCase() == 'a')) {
+            handleClick(event);
+            return;
+        }
+
+        // Outbound links get their attribute just before the browser
+        // follows them.
+        if (conf.outbound_attr_name && conf.outbound_attr_value) {
+            var outbound = helpers.getNearestParentByTagname(ref, 'a');
+
+            if ((outbound) && (helpers.hasClass(outbound, conf.link_class_outbound))) {
+                outbound.setAttribute(conf.outbound_attr_name, conf.outbound_attr_value);
+            }
+        }
+    }
+
+
+
+    function handleDelegatedSubmit(event) {
+        var form = findInbound(event.target);
+
+        if ((!event.defaultPrevented) && (form == event.target)) {
+            handleSubmit(event, form);
+        }
+    }
+
+
+
+    function handleDelegatedPrefetch(event) {
+        var link = findInbound(event.target);
+
+        if ((!link) || (link.tagName.toLowerCase() != 'a')) {
+            return;
+        }
+
+        var triggers = getPrefetchTriggers(link);
+
+        if (triggers.indexOf('hover') > -1) {
+            if (event.type == 'mouseover') {
+                startPrefetchTimer(link);
+            }
+            else if ((event.type == 'mouseout') && (!link.contains(event.relatedTarget))) {
+                stopPrefetchTimer(link);
+            }
+            else if (event.type == 'touchstart') {
+                prefetchLink(link);
+            }
+        }
+
+        if ((triggers.indexOf('focus') > -1) && (event.type == 'focusin')) {
+            prefetchLink(link);
+        }
+    }
+
+
+
+    // This returns the nearest inbound link or form, starting with the
+    // given element and climbing up through its parents.
+    function findInbound(elem) {
+        while ((elem) && (elem.nodeType == 1)) {
+            if (isInbound(elem)) {
+                return elem;
+            }
+
+            elem = elem.parentNode;
+        }
+
+        return null;
+    }
+
+
+
+    function isInbound(elem) {
+        if (conf.link_selector) {
+            var matches = elem.matches || elem.msMatchesSelector || elem.webkitMatchesSelector;
+            return matches.call(elem, conf.link_selector);
+        }
+
+        return helpers.hasClass(elem, conf.link_class_inbound);
+    }
+
+
+
+    function getInboundElements(element) {
+        return (conf.link_selector)
+            ? element.querySelectorAll(conf.link_selector)
+            : element.getElementsByClassName(conf.link_class_inbound);
+    }
+
+
+
+    // Middle clicks and modified clicks should open in a new tab or
+    // window, as usual, so Monopage leaves them alone.
+    function isModifiedClick(event) {
+        return ((event.button > 0) ||
+                (event.metaKey) || (event.ctrlKey) ||
+                (event.shiftKey) || (event.altKey));
+    }
+
+
+
+    function getPrefetchTriggers(link) {
+        var triggers = link.getAttribute(conf.link_attr_prefetch) || conf.prefetch;
+
+        if (typeof triggers != 'string') {
+            return [ ];
+        }
+
+        return triggers.split(/\s+/).filter(function (trigger) {
+            return (['hover', 'focus', 'visible'].indexOf(trigger) > -1);
+        });
+    }
+
+
+
+    // The listeners are named functions, so binding them again to the
+    // same link won't double them up. In delegated mode, hovers and
+    // focuses are handled by the document, so only visibility needs
+    // to be bound.
+    function bindPrefetch(link, visible_only) {
+        var triggers = getPrefetchTriggers(link);
+
+        if (visible_only) {
+            triggers = triggers.filter(function (trigger) {
+                return (trigger == 'visible');
+            });
+        }
+
+        if (triggers.indexOf('hover') > -1) {
+            link.addEventListener('mouseenter', handlePrefetchHover);
+            link.addEventListener('mouseleave', handlePrefetchLeave);
+            link.addEventListener('touchstart', handlePrefetchIntent);
+        }
+
+        if (triggers.indexOf('focus') > -1) {
+            link.addEventListener('focus', handlePrefetchIntent);
+        }
+
+        if (triggers.indexOf('visible') > -1) {
+            if (!prefetch_observer && (typeof window.IntersectionObserver == 'function')) {
+                prefetch_observer = new IntersectionObserver(handlePrefetchVisible);
+            }
+
+            if (prefetch_observer) {
+                prefetch_observer.observe(link);
+            }
+            else if (conf.log) {
+                console.log("Can't prefetch visible links: no IntersectionObserver.");
+            }
+        }
+    }
+
+
+
+    function handlePrefetchHover(event) {
+        startPrefetchTimer(event.currentTarget);
+    }
+
+
+
+    function handlePrefetchLeave(event) {
+        stopPrefetchTimer(event.currentTarget);
+    }
+
+
+
+    function startPrefetchTimer(link) {
+        var href = link.getAttribute('href');
+
+        if (!prefetch_timers[href]) {
+            prefetch_timers[href] = window.setTimeout(function () {
+                delete prefetch_timers[href];
+                prefetchLink(link);
+            }, conf.prefetch_delay);
+        }
+    }
+
+
+
+    function stopPrefetchTimer(link) {
+        var href = link.getAttribute('href');
+
+        if (prefetch_timers[href]) {
+            window.clearTimeout(prefetch_timers[href]);
+            delete prefetch_timers[href];
+        }
+    }
+
+
+
+    function handlePrefetchIntent(event) {
+        prefetchLink(event.currentTarget);
+    }
+
+
+
+    function handlePrefetchVisible(entries) {
+        entries.forEach(function (entry) {
+            if (entry.isIntersecting) {
+                prefetch_observer.unobserve(entry.target);
+                prefetchLink(entry.target);
+            }
+        });
+    }
+
+
+
+    function prefetchLink(link) {
+        var state_obj = makeStateObjectFromLink(link),
+            url = state_obj.url;
+
+        var queued = prefetch_queue.some(function (queued_obj) {
+            return (queued_obj.url == url);
+        });
+
+        if ((!shouldCache(link)) ||
+            ((isOffline()) && (!hasServiceWorker())) ||
+            (getBodyFromCache(url) !== false) ||
+            (prefetch_keep[url]) ||
+            (queued)) {
+            return;
+        }
+
+        if (Object.keys(prefetch_keep).length < conf.prefetch_limit) {
+            requestPrefetch(state_obj);
+        }
+
+        else {
+            if (conf.log) {
+                console.log("Queueing prefetch of '"+url+"'.");
+            }
+
+            prefetch_queue.push(state_obj);
+        }
+    }
+
+
+
+    function requestPrefetch(state_obj) {
+        var url = state_obj.url;
+
+        if (conf.log) {
+            console.log("Prefetching " + url);
+        }
+
+        prefetch_keep[url] = true;
+
+        var request = sendRequest(makeRequestObject(url, 'GET', null, 'prefetch'), function (reply) {
+            if (reply.ok) {
+                handlePrefetchReturn(reply, state_obj);
+            }
+            else {
+                if (conf.log) {
+                    console.log("Prefetch of '"+url+"' failed with status "+reply.status+".");
+                }
+
+                finishPrefetch(url);
+            }
+        });
+
+        // In case the return was handled already.
+        if ((request) && (prefetch_keep[url])) {
+            prefetch_keep[url] = request;
+        }
+    }
+
+
+
+    // The prefetched body is only cached. It won't become current
+    // until its link is clicked.
+    function handlePrefetchReturn(reply, state_obj) {
+        try {
+            var read = readResponse(reply.text, state_obj, reply);
+            state_obj.body = read.body;
+            state_obj.title = read.title;
+            state_obj.head = read.head;
+            addBodyToCache(state_obj, read.ttl);
+        }
+
+        catch (error) {
+            if (conf.log) {
+                console.log("Can't read prefetched return from '"+state_obj.url+"'.");
+                console.log(error);
+            }
+        }
+
+        finishPrefetch(state_obj.url);
+    }
+
+
+
+    function finishPrefetch(url) {
+        delete prefetch_keep[url];
+
+        while ((prefetch_queue.length > 0) &&
+               (Object.keys(prefetch_keep).length < conf.prefetch_limit)) {
+            var next = prefetch_queue.shift();
+
+            if (getBodyFromCache(next.url) === false) {
+                requestPrefetch(next);
+            }
+        }
+    }
+
+
+
+    // This occurs onpopstate, so no history should be pushed.
+    function handlePop(event) {
+        var entry = (event.state) ? getEntryFromCache(event.state.url, canUseStale()) : false;
+        var direction = getPopDirection(event.state);
+        var snapshot = takeSnapshot(event.state);
+
+        if ((snapshot) && (snapshot.regions)) {
+            if (conf.log) {
+                console.log("Popping '"+event.state.url+"' from snapshot.");
+            }
+
+            var state_obj = makeStateObjectFromHistory(event.state);
+
+            if (entry) {
+                applyCacheEntry(state_obj, entry);
+            }
+
+            state_obj.snapshot = snapshot;
+
+            emitEvent('popRestore', {url: state_obj.url, state: state_obj, cached: true, snapshot: true, direction: direction},
+                      getEventElement(state_obj));
+
+            beginNavigation();
+            nav_direction = direction;
+            makeStateCurrent(state_obj, false, event.state);
+        }
+
+        else if (entry) {
+            if (conf.log) {
+                console.log("Popping '"+event.state.url+"' from cache.");
+            }
+
+            var state_obj = makeStateObjectFromHistory(event.state);
+            applyCacheEntry(state_obj, entry);
+            state_obj.snapshot = snapshot;
+
+            emitEvent('popRestore', {url: state_obj.url, state: state_obj, cached: true, direction: direction},
+                      getEventElement(state_obj));
+
+            beginNavigation();
+            nav_direction = direction;
+            makeStateCurrent(state_obj, false, event.state);
+        }
+
+        else if ((event.state) && (event.state.url)) {
+            if (event.state.target_id || event.state.target_ids || event.state.action) {
+                if (conf.log) {
+                    console.log("Popping '"+event.state.url+"' from history but need body from server.");
+                }
+
+                var nav_id = beginNavigation();
+                nav_direction = direction;
+
+                async_keep[nav_id] = makeAsyncObject(makeStateObjectFromHistory(event.state), false);
+                async_keep[nav_id].restore = event.state;
+                async_keep[nav_id].state.snapshot = snapshot;
+
+                emitEvent('popRestore', {url: event.state.url, state: async_keep[nav_id].state, cached: false, direction: direction},
+                          getEventElement(async_keep[nav_id].state));
+
+                requestAndHandle(nav_id);
+            }
+
+            else {
+                if (conf.log) {
+                    console.log("No state for '"+event.state.url+"'. Handling URL like linkless click.");
+                }
+
+                var nav_id = beginNavigation();
+                nav_direction = direction;
+                async_keep[nav_id] = makeAsyncObject(makeStateObject(event.state.url));
+
+                emitEvent('popRestore', {url: event.state.url, state: async_keep[nav_id].state, cached: false, direction: direction},
+                          getEventElement(async_keep[nav_id].state));
+
+                requestAndHandle(nav_id);
+            }
+        }
+
+        else {
+            if (conf.log) {
+                console.log("Major weirdness. Making the request, hoping for the best.");
+            }
+
+            var nav_id = beginNavigation();
+            nav_direction = direction;
+            async_keep[nav_id] = makeAsyncObject(makeStateObject(window.location.href));
+
+            emitEvent('popRestore', {url: async_keep[nav_id].state.url, state: async_keep[nav_id].state, cached: false, direction: direction},
+                      getEventElement(async_keep[nav_id].state));
+
+            requestAndHandle(nav_id);
+        }
+    }
+
+
+
+    function handleClick(event) {
+        if (isModifiedClick(event)) {
+            if (conf.log) {
+                console.log("Leaving modified click to the browser.");
+            }
+
+            return;
+        }
+
+        if (conf.log) {
+            console.log("Handling click.");
+        }
+
+        event.preventDefault();
+
+        var ref = (event.target) ? event.target : event.srcElement;
+        var link = helpers.getNearestParentByTagname(ref, 'a');
+
+        var state_obj = makeStateObjectFromLink(link);
+        var fixed_url = state_obj.url;
+
+        if (!emitEvent('beforeNavigate',
+                       {url: fixed_url, state: state_obj, link: link, event: event},
+                       getEventElement(state_obj))) {
+            if (conf.log) {
+                console.log("Navigation to '" + fixed_url + "' was canceled.");
+            }
+
+            return;
+        }
+
+        followState(state_obj,
+                    shouldMakeHistory(link),
+                    shouldCache(link),
+                    link.getAttribute(conf.link_attr_error),
+                    null,
+                    null,
+                    link);
+    }
+
+
+
+    // GET forms are handled like links to the URL with the form's data
+    // in the query string. POST forms send their data in the request
+    // body, and their returns are never cached.
+    function handleSubmit(event, form) {
+        if (conf.log) {
+            console.log("Handling submit.");
+        }
+
+        event.preventDefault();
+
+        form = form || event.currentTarget;
+
+        var submitter = event.submitter || null;
+
+        var method = ((submitter && submitter.getAttribute('formmethod')) ||
+                      form.getAttribute('method') ||
+                      'get').toLowerCase();
+        var action = (submitter && submitter.getAttribute('formaction')) ||
+            form.getAttribute('action') ||
+            window.location.href;
+        var data = serializeForm(form, submitter);
+
+        var url = (method == 'post') ? action : (action.split('#')[0].split('?')[0] + ((data) ? ('?' + data) : ''));
+        var state_obj = makeStateObjectFromLink(form, url);
+
+        if (!emitEvent('beforeNavigate',
+                       {url: state_obj.url, state: state_obj, link: form, event: event},
+                       getEventElement(state_obj))) {
+            if (conf.log) {
+                console.log("Submission to '" + state_obj.url + "' was canceled.");
+            }
+
+            return;
+        }
+
+        if (method == 'post') {
+            followState(state_obj,
+                        getFormHistory(form),
+                        false,
+                        form.getAttribute(conf.link_attr_error),
+                        data,
+                        null,
+                        form);
+        }
+
+        else {
+            followState(state_obj,
+                        (form.getAttribute(conf.form_attr_history)) ? getFormHistory(form) : shouldMakeHistory(form),
+                        shouldCache(form),
+                        form.getAttribute(conf.link_attr_error),
+                        null,
+                        null,
+                        form);
+        }
+    }
+
+
+
+    // This makes the given state current, from the cache if it's
+    // there, or else from the server. If `post_data` is given, then
+    // the request will be a POST and the cache won't be checked.
+    // If given, `done` will be called when the navigation completes,
+    // with a failure object if it failed, or with null and either the
+    // state object or, if the navigation was superseded, false. The
+    // `source` is the link or form that started the navigation.
+    function followState(state_obj, record, cache, on_error, post_data, done, source) {
+        var nav_id = beginNavigation();
+        nav_direction = 'forward';
+
+        var entry = ((typeof post_data != 'string') && (cache !== false))
+            ? getEntryFromCache(state_obj.url, canUseStale())
+            : false;
+
+        if (entry) {
+            if (conf.log) {
+                console.log("Got body for '" + state_obj.url + "' from cache.");
+            }
+
+            applyCacheEntry(state_obj, entry);
+            makeStateCurrent(state_obj, normalizeRecord(record), null, done);
+        }
+
+        else {
+            if (conf.log) {
+                console.log("No entry for '" + state_obj.url + "' in cache.");
+            }
+
+            async_keep[nav_id] = makeAsyncObject(state_obj, record, cache, on_error);
+
+            if (typeof post_data == 'string') {
+                async_keep[nav_id].post_data = post_data;
+            }
+
+            if (done) {
+                async_keep[nav_id].done = done;
+            }
+
+            async_keep[nav_id].source = source || null;
+
+            requestAndHandle(nav_id);
+        }
+    }
+
+
+
+    // The `options` can contain the `target` (one or more IDs), the
+    // `action`, the `history` (`push`, `replace`, or `none`), `cache`
+    // (false to neither use nor keep a cached body), and the `swap`.
+    // Returns a promise.
+    function navigateTo(url, options) {
+        options = options || { };
+
+        var state_obj = makeStateObject(url, null, (options.target || null), (options.action || null));
+        state_obj.swap = options.swap || null;
+
+        return new Promise(function (resolve, reject) {
+            if (!emitEvent('beforeNavigate',
+                           {url: state_obj.url, state: state_obj, link: null, event: null},
+                           getEventElement(state_obj))) {
+                if (conf.log) {
+                    console.log("Navigation to '" + state_obj.url + "' was canceled.");
+                }
+
+                resolve(false);
+                return;
+            }
+
+            followState(state_obj,
+                        (options.history || 'push'),
+                        options.cache,
+                        null,
+                        null,
+                        function (failure, result) {
+                            if (failure) {
+                                reject(failure);
+                            }
+                            else {
+                                resolve(result);
+                            }
+                        });
+        });
+    }
+
+
+
+    // This requests the current state's URL again, bypassing the
+    // cache, and swaps in its return. The history is left as is, and
+    // the scroll positions are kept. The cached entry is replaced only
+    // if the request succeeds. Returns a promise.
+    function reloadState() {
+        recordScroll();
+
+        var entry = window.history.state;
+
+        var state_obj = ((entry) && (entry.url))
+            ? makeStateObjectFromHistory(entry)
+            : makeStateObject(window.location.href);
+
+        if (conf.log) {
+            console.log("Reloading '" + state_obj.url + "'.");
+        }
+
+        return new Promise(function (resolve, reject) {
+            var nav_id = beginNavigation();
+            nav_direction = null;
+
+            async_keep[nav_id] = makeAsyncObject(state_obj, false);
+            async_keep[nav_id].restore = ((entry) && (entry.url)) ? entry : null;
+            async_keep[nav_id].reload = true;
+            async_keep[nav_id].done = function (failure, result) {
+                if (failure) {
+                    reject(failure);
+                }
+                else {
+                    resolve(result);
+                }
+            };
+
+            requestAndHandle(nav_id);
+        });
+    }
+
+
+
+    // This encodes the form's successful controls the way a browser
+    // would for `application/x-www-form-urlencoded`. Files can't be
+    // sent this way, so they're skipped.
+    function serializeForm(form, submitter) {
+        var pairs = [ ];
+
+        var add = function (name, value) {
+            pairs.push(encodeURIComponent(name).replace(/%20/g, '+') + '=' +
+                       encodeURIComponent(value).replace(/%20/g, '+'));
+        };
+
+        for (var o = 0; o < form.elements.length; o++) {
+            var field = form.elements[o],
+                type = (field.type || '').toLowerCase();
+
+            if ((!field.name) || (field.disabled) || (type == 'file')) {
+                continue;
+            }
+
+            if (['submit', 'button', 'image', 'reset'].indexOf(type) > -1) {
+                if ((field === submitter) && (type == 'submit')) {
+                    add(field.name, field.value);
+                }
+            }
+
+            else if ((type == 'checkbox') || (type == 'radio')) {
+                if (field.checked) {
+                    add(field.name, field.value);
+                }
+            }
+
+            else if (type == 'select-multiple') {
+                for (var p = 0; p < field.options.length; p++) {
+                    if (field.options[p].selected) {
+                        add(field.name, field.options[p].value);
+                    }
+                }
+            }
+
+            else if (field.tagName.toLowerCase() != 'fieldset') {
+                add(field.name, field.value);
+            }
+        }
+
+        return pairs.join('&');
+    }
+
+
+
+    function getFormHistory(form) {
+        var history = form.getAttribute(conf.form_attr_history) || conf.form_history;
+
+        if (helpers.hasClass(form, conf.link_class_nohist)) {
+            history = 'none';
+        }
+
+        if (conf.log) {
+            console.log("Form history behavior: " + history);
+        }
+
+        return normalizeRecord(history);
+    }
+
+
+
+    // Each navigation gets an ID. Starting a new one supersedes every
+    // navigation still waiting on the server: their requests will be
+    // aborted, if the request object allows it, and their responses
+    // will be discarded. This way, only the latest navigation will
+    // ever become the current state.
+    function beginNavigation() {
+        nav_count += 1;
+
+        // A scroll recorded after this point could land on the wrong
+        // history entry.
+        window.clearTimeout(scroll_timer);
+        scroll_timer = null;
+
+        Object.keys(async_keep).forEach(function (id) {
+            // Queued requests being sent again run alongside.
+            if (async_keep[id].retry) {
+                return;
+            }
+
+            if (conf.log) {
+                console.log("Superseding navigation to '"+async_keep[id].state.url+"'.");
+            }
+
+            var request = async_keep[id].request,
+                done = async_keep[id].done;
+            setBusy(async_keep[id].state, false);
+            setLoading(async_keep[id], false);
+            delete async_keep[id];
+
+            if ((request) && (typeof request.abort == 'function')) {
+                request.abort();
+            }
+
+            if (done) {
+                done(null, false);
+            }
+        });
+
+        return nav_count;
+    }
+
+
+
+    function requestAndHandle(nav_id) {
+        var keep = async_keep[nav_id],
+            url = keep.state.url;
+
+        if ((isOffline()) && (!hasServiceWorker())) {
+            if (conf.log) {
+                console.log("Not sending request to '"+url+"': the browser is offline.");
+            }
+
+            handleFailure(0, url, nav_id, new Error("The browser is offline."));
+            return;
+        }
+
+        var request = (typeof keep.post_data == 'string')
+            ? makeRequestObject(url, 'POST', keep.post_data, 'navigate')
+            : makeRequestObject(url, 'GET', null, 'navigate');
+
+        if (conf.log) {
+            console.log("Sending " + request.method + " request to " + url);
+        }
+
+        emitEvent('requestStart', {url: url, state: keep.state, request: request},
+                  getEventElement(keep.state));
+
+        setBusy(keep.state, true);
+        setLoading(keep, true);
+
+        var sent = sendRequest(request, function (reply) {
+            if (reply.ok) {
+                handleReturn(reply, url, nav_id);
+            }
+            else {
+                handleFailure(reply.status, url, nav_id, reply.error);
+            }
+        }, function (loaded, total) {
+            if ((async_keep[nav_id]) && (async_keep[nav_id].loading)) {
+                moveProgressBar(loaded, total);
+            }
+        });
+
+        // In case the return was handled already.
+        if (async_keep[nav_id]) {
+            async_keep[nav_id].request = sent;
+        }
+    }
+
+
+
+    // The `purpose` will be `navigate`, `prefetch`, or `precache`.
+    function makeRequestObject(url, method, body, purpose) {
+        var headers = { };
+
+        if (conf.request_headers) {
+            Object.keys(conf.request_headers).forEach(function (name) {
+                headers[name] = conf.request_headers[name];
+            });
+        }
+
+        if (method == 'POST') {
+            headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        }
+
+        return {
+            url: url,
+            method: method,
+            headers: headers,
+            body: body,
+            credentials: conf.request_credentials,
+            timeout: conf.request_timeout,
+            purpose: purpose
+        };
+    }
+
+
+
+    // The `callback` will be passed a reply object, as made by
+    // `makeReplyObject`. The optional `progress` function will be
+    // passed the number of bytes loaded and the total (0 if unknown).
+    // This returns whatever the transport returns, which may have an
+    // `abort` method.
+    function sendRequest(request, callback, progress) {
+        return getTransport()(prepRequest(request), callback, progress || function () { });
+    }
+
+
+
+    function prepRequest(request) {
+        if (typeof conf.before_request == 'function') {
+            conf.before_request(request);
+        }
+
+        return request;
+    }
+
+
+
+    function getTransport() {
+        if (typeof conf.transport == 'function') {
+            return conf.transport;
+        }
+
+        if ((conf.transport == 'fetch') && (typeof window.fetch == 'function')) {
+            return fetchTransport;
+        }
+
+        return httpTransport;
+    }
+
+
+
+    function makeReplyObject(ok, status, text, url, header, error) {
+        return {
+            ok: ok,
+            status: status,
+            text: text,
+            url: url,
+            header: function (name) {
+                return (header) ? header(name) : null;
+            },
+            error: error || null
+        };
+    }
+
+
+
+    function fetchTransport(request, callback, progress) {
+        var controller = (typeof AbortController == 'function') ? new AbortController() : null,
+            timer = null,
+            done = false;
+
+        function finish(reply) {
+            if (!done) {
+                done = true;
+                clearTimeout(timer);
+                callback(reply);
+            }
+        }
+
+        if (request.timeout > 0) {
+            timer = setTimeout(function () {
+                finish(makeReplyObject(false, 0, '', request.url, null,
+                                       new Error("Request to '"+request.url+"' timed out.")));
+
+                if (controller) {
+                    controller.abort();
+                }
+            }, request.timeout);
+        }
+
+        var init = {
+            method: request.method,
+            headers: request.headers,
+            credentials: request.credentials
+        };
+
+        if (request.body !== null) {
+            init.body = request.body;
+        }
+
+        if (controller) {
+            init.signal = controller.signal;
+        }
+
+        window.fetch(request.url, init)
+            .then(function (res) {
+                return readFetchBody(res, progress).then(function (text) {
+                    finish(makeReplyObject(res.ok, res.status, text, res.url || request.url, function (name) {
+                        return res.headers.get(name);
+                    }));
+                });
+            })
+            .catch(function (error) {
+                finish(makeReplyObject(false, 0, '', request.url, null, error));
+            });
+
+        return {
+            abort: function () {
+                done = true;
+                clearTimeout(timer);
+
+                if (controller) {
+                    controller.abort();
+                }
+            }
+        };
+    }
+
+
+
+    // The body is read in chunks, so its progress can be reported, if
+    // the browser supports streams.
+    function readFetchBody(res, progress) {
+        if ((!res.body) || (typeof res.body.getReader != 'function') ||
+            (typeof TextDecoder != 'function')) {
+            return res.text();
+        }
+
+        var reader = res.body.getReader(),
+            decoder = new TextDecoder(),
+            total = parseInt(res.headers.get('Content-Length'), 10) || 0,
+            loaded = 0,
+            text = '';
+
+        var pump = function () {
+            return reader.read().then(function (chunk) {
+                if (chunk.done) {
+                    return text + decoder.decode();
+                }
+
+                loaded += chunk.value.length;
+                text += decoder.decode(chunk.value, {stream: true});
+                progress(loaded, total);
+
+                return pump();
+            });
+        };
+
+        return pump();
+    }
+
+
+
+    // `Http` can't send the headers, time out, or report progress, so
+    // those are ignored.
+    function httpTransport(request, callback) {
+        if (typeof Http == 'undefined') {
+            callback(makeReplyObject(false, 0, '', request.url, null,
+                                     new Error("Can't send a request to '"+request.url+"': there is no `fetch` or `Http`.")));
+            return null;
+        }
+
+        var params = {
+            url: request.url,
+            callback: function (response) {
+                callback(makeReplyObject(true, 200, response, request.url));
+            },
+            error_callback: function (status) {
+                callback(makeReplyObject(false, status || 0, '', request.url));
+            }
+        };
+
+        if (request.body !== null) {
+            params.params = request.body;
+        }
+
+        return Http[request.method.toLowerCase()](params);
+    }
+
+
+
+    function handleReturn(reply, url, nav_id) {
+        if (conf.log) {
+            console.log("Handling server return from '"+url+"':");
+            console.log(reply.text);
+        }
+
+        if (!async_keep[nav_id]) {
+            if (conf.log) {
+                console.log("Discarding return from '"+url+"': its navigation was superseded.");
+            }
+
+            return;
+        }
+
+        try {
+            var read = readResponse(reply.text, async_keep[nav_id].state, reply);
+            var response = read.response;
+            var body = read.body;
+            var ttl = read.ttl;
+        }
+
+        catch (error) {
+            handleFailure(0, url, nav_id, error);
+            return;
+        }
+
+        var keep = async_keep[nav_id];
+        delete async_keep[nav_id];
+        setBusy(keep.state, false);
+        setLoading(keep, false);
+
+        emitEvent('responseReceived', {url: url, state: keep.state, response: response, body: body},
+                  getEventElement(keep.state));
+
+        keep.state.body = body;
+
+        if (read.title) {
+            keep.state.title = read.title;
+        }
+
+        if (read.head) {
+            keep.state.head = read.head;
+        }
+
+        if ((read.url) && (typeof keep.post_data == 'string')) {
+            if (conf.log) {
+                console.log("Recording state for '"+url+"' as '"+read.url+"'.");
+            }
+
+            keep.state.url = helpers.prefixUrl(read.url);
+        }
+        else if ((reply.url) && (stripHash(helpers.prefixUrl(reply.url)) != stripHash(url))) {
+            if (conf.log) {
+                console.log("Recording state for '"+url+"' as redirected '"+reply.url+"'.");
+            }
+
+            // The reply's URL won't have the hash, so it's carried over.
+            var redirect = helpers.prefixUrl(reply.url);
+
+            keep.state.url = (redirect.indexOf('#') > -1)
+                ? redirect
+                : (redirect + url.substr(stripHash(url).length));
+        }
+
+        // A reload's response replaces what was cached, even if it
+        // says not to keep it.
+        if ((keep.cache) && (!addBodyToCache(keep.state, ttl)) && (keep.reload)) {
+            removeFromCache(keep.state.url);
+        }
+
+        makeStateCurrent(keep.state, keep.record, keep.restore, keep.done);
+    }
+
+
+
+    function stripHash(url) {
+        return url.split('#')[0];
+    }
+
+
+
+    // This transforms the server's response and picks the body from
+    // it, according to the state's format. If the response can't be
+    // transformed, this will throw.
+    // The `reply` is optional. If given, its headers will be read.
+    function readResponse(response, state_obj, reply) {
+        var format = getResponseFormat(response, state_obj, reply);
+        var read;
+
+        if (format == 'html') {
+            read = {response: response, body: response, ttl: null, url: null, title: null, head: null};
+        }
+        else if (format == 'document') {
+            read = readDocument(response, state_obj);
+        }
+        else {
+            read = readJsonResponse(response);
+        }
+
+        if ((read.ttl === null) && (conf.cache_honor_headers) && (reply)) {
+            read.ttl = parseCacheTtl(reply.header('Cache-Control'));
+        }
+
+        return read;
+    }
+
+
+
+    function readJsonResponse(response) {
+        if ((typeof conf.response_transform == 'function') && (typeof response == 'string')) {
+            response = conf.response_transform(response);
+        }
+
+        return {
+            response: response,
+            body: (conf.response_key_body) ? response[conf.response_key_body] : response,
+            ttl: ((conf.response_key_cache) && (response) && (typeof response == 'object'))
+                ? parseCacheTtl(response[conf.response_key_cache])
+                : null,
+            url: ((conf.response_key_url) && (response) && (typeof response == 'object'))
+                ? (response[conf.response_key_url] || null)
+                : null,
+            title: ((conf.response_key_title) && (response) && (typeof response == 'object'))
+                ? (response[conf.response_key_title] || null)
+                : null,
+            head: ((conf.response_key_head) && (response) && (typeof response == 'object'))
+                ? (response[conf.response_key_head] || null)
+                : null
+        };
+    }
+
+
+
+    function getResponseFormat(response, state_obj, reply) {
+        var format = ((state_obj) && (state_obj.format)) || conf.response_format;
+
+        if (format == 'auto') {
+            format = sniffFormat(response, (reply) ? reply.header('Content-Type') : null);
+
+            if (conf.log) {
+                console.log("Sniffed response format: " + format);
+            }
+        }
+
+        return format;
+    }
+
+
+
+    function sniffFormat(response, content_type) {
+        if (typeof response != 'string') {
+            return 'json';
+        }
+
+        if ((content_type) && (/json/i.test(content_type))) {
+            return 'json';
+        }
+
+        var start = response.replace(/^\s+/, '').substr(0, 15).toLowerCase();
+
+        if ((start.charAt(0) == '{') || (start.charAt(0) == '[')) {
+            return 'json';
+        }
+        else if ((start.indexOf('<!doctype') == 0) || (start.indexOf('<html') == 0)) {
+            return 'document';
+        }
+
+        return 'html';
+    }
+
+
+
+    // The body is pulled from the element matching the selector, if
+    // there is one, else from the elements with the target IDs. With
+    // several targets, the body will be an object correlating their
+    // IDs with their contents. The title and head data are read from
+    // the document too.
+    function readDocument(response, state_obj) {
+        var doc = new DOMParser().parseFromString(response, 'text/html'),
+            select = ((state_obj) && (state_obj.select)) || conf.document_selector,
+            target_ids = (state_obj) ? parseTargetIds(state_obj.target_ids) : [ ],
+            body = null;
+
+        if ((target_ids.length == 0) && (conf.default_target_id)) {
+            target_ids = parseTargetIds(conf.default_target_id);
+        }
+
+        if (select) {
+            var match = doc.querySelector(select);
+            body = (match) ? match.innerHTML : null;
+        }
+
+        else if (target_ids.length > 1) {
+            body = { };
+
+            target_ids.forEach(function (id) {
+                var match = doc.getElementById(id);
+
+                if (match) {
+                    body[id] = match.innerHTML;
+                }
+            });
+        }
+
+        else if (target_ids.length == 1) {
+            var match = doc.getElementById(target_ids[0]);
+            body = (match) ? match.innerHTML : null;
+        }
+
+        else {
+            body = doc.body.innerHTML;
+        }
+
+        if (body === null) {
+            throw new Error("No element in the document matches the state's target.");
+        }
+
+        return {
+            response: response,
+            body: body,
+            ttl: null,
+            url: null,
+            title: doc.title || null,
+            head: captureHead(doc)
+        };
+    }
+
+
+
+    // This is called when a request fails or its response can't be
+    // transformed. It clears the pending state so the page isn't left
+    // half-navigated, then fills the error fragment, calls the error
+    // function, or falls back to loading the URL as a full page.
+    function handleFailure(status, url, nav_id, error) {
+        var keep = async_keep[nav_id];
+
+        if (!keep) {
+            if (conf.log) {
+                console.log("Ignoring failure from '"+url+"': its navigation was superseded.");
+            }
+
+            return;
+        }
+
+        if ((!status) && (!keep.offline) && (isOffline())) {
+            keep.offline = true;
+            handleOffline(nav_id, error);
+            return;
+        }
+
+        delete async_keep[nav_id];
+        setBusy(keep.state, false);
+        setLoading(keep, false);
+
+        var failure = {
+            url: url,
+            status: (typeof status == 'number') ? status : 0,
+            error: error || null,
+            state: keep.state,
+            offline: (keep.offline) ? true : false
+        };
+
+        console.log("FAILURE: request for '"+url+"' failed with status "+failure.status+".");
+        if (error) {
+            console.log(error);
+        }
+
+        emitEvent('navigationError', failure, getEventElement(failure.state));
+
+        if (keep.done) {
+            keep.done(failure);
+        }
+
+        // A GET of a POST's URL would drop its data, so the form is
+        // submitted natively instead. Forms can have a control named
+        // `submit`, so the method is called from the prototype.
+        if ((conf.error_fallback_load) && (!failure.offline) && (typeof keep.post_data == 'string')) {
+            if ((keep.source) && (keep.source.tagName) && (keep.source.tagName.toLowerCase() == 'form')) {
+                if (conf.log) {
+                    console.log("Falling back to a full page submission to '"+url+"'.");
+                }
+
+                HTMLFormElement.prototype.submit.call(keep.source);
+                return;
+            }
+        }
+
+        else if ((conf.error_fallback_load) && (!failure.offline)) {
+            if (conf.log) {
+                console.log("Falling back to a full page load of '"+url+"'.");
+            }
+
+            window.location.assign(url);
+            return;
+        }
+
+        fillErrorFragment(failure);
+
+        var func = getErrorAction(keep);
+
+        if (func) {
+            if (conf.log) {
+                console.log("Calling error function '"+actionName(func)+"' with failure object.");
+            }
+
+            var fx = resolveAction(func);
+
+            if (fx) {
+                fx(failure);
+            }
+        }
+    }
+
+
+
+    // If the browser is offline, then the `offline_fragment` will be
+    // used instead, if there is one.
+    function fillErrorFragment(failure) {
+        var offline = ((failure.offline) && (typeof conf.offline_fragment == 'string'));
+
+        var fragment = (offline) ? conf.offline_fragment : conf.error_fragment,
+            target_id = (offline) ? conf.offline_target_id : conf.error_target_id;
+
+        if (typeof fragment != 'string') {
+            return;
+        }
+
+        var target = (target_id) ? document.getElementById(target_id) : getEventElement(failure.state);
+
+        if ((target) && (target != document)) {
+            if (conf.log) {
+                console.log("Filling "+((offline) ? "offline" : "error")+" fragment for '"+failure.url+"'.");
+            }
+
+            target.innerHTML = fragment
+                .replace(/\{url\}/g, function () { return escapeHtml(failure.url); })
+                .replace(/\{status\}/g, function () { return escapeHtml(failure.status); });
+        }
+
+        else if (conf.log) {
+            console.log("No target for the error fragment.");
+        }
+    }
+
+
+
+    // The URL comes from a link, so it can't be trusted as markup.
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+
+
+    function getErrorAction(keep) {
+        if (keep.on_error) {
+            return keep.on_error;
+        }
+
+        else if ((typeof conf.default_error_action == 'string') ||
+                 (typeof conf.default_error_action == 'function')) {
+            return conf.default_error_action;
+        }
+
+        return null;
+    }
+
+
+
+    function isOffline() {
+        return ((typeof navigator != 'undefined') && (navigator.onLine === false));
+    }
+
+
+
+    // A service worker controlling the page may have kept the
+    // response, so requests are still sent while offline. If it
+    // can't answer, the request fails, and is handled as offline.
+    function hasServiceWorker() {
+        return ((typeof conf.service_worker == 'string') &&
+                (typeof navigator != 'undefined') &&
+                (navigator.serviceWorker) &&
+                (navigator.serviceWorker.controller)) ? true : false;
+    }
+
+
+
+    // Expired entries are better than nothing when there's no network.
+    function canUseStale() {
+        return ((conf.offline_cache) && (isOffline()));
+    }
+
+
+
+    // When a navigation can't be answered for want of a network, this
+    // looks for its body in the caches. If there's none, then it will
+    // be queued, if it's eligible, or else fail, flagged as offline.
+    function handleOffline(nav_id, error) {
+        var keep = async_keep[nav_id],
+            url = keep.state.url;
+
+        var fail = function () {
+            if (!async_keep[nav_id]) {
+                return;
+            }
+
+            if ((conf.offline_retry) && (!keep.record) && (!keep.restore)) {
+                queueRetry(nav_id);
+            }
+            else {
+                handleFailure(0, url, nav_id, error);
+            }
+        };
+
+        if ((!conf.offline_cache) || (typeof keep.post_data == 'string')) {
+            fail();
+            return;
+        }
+
+        if (conf.log) {
+            console.log("Offline. Looking for '"+url+"' in the caches.");
+        }
+
+        getOfflineEntry(url, function (entry) {
+            if (!async_keep[nav_id]) {
+                if (conf.log) {
+                    console.log("Discarding offline entry for '"+url+"': its navigation was superseded.");
+                }
+
+                return;
+            }
+
+            if (!entry) {
+                fail();
+                return;
+            }
+
+            delete async_keep[nav_id];
+            setBusy(keep.state, false);
+            setLoading(keep, false);
+
+            applyCacheEntry(keep.state, entry);
+            makeStateCurrent(keep.state, keep.record, keep.restore, keep.done);
+        });
+    }
+
+
+
+    // This passes the entry for the URL, from the `url_cache` or the
+    // persisted cache, or null, to the given function. Expired entries
+    // will do.
+    function getOfflineEntry(url, done) {
+        var entry = getEntryFromCache(url, true);
+
+        if (entry) {
+            done(entry);
+            return;
+        }
+
+        getCacheStore().get(url, function (stored) {
+            if ((stored) && (typeof stored.body != 'undefined')) {
+                if (conf.log) {
+                    console.log("Got body for '" + url + "' from the persisted cache.");
+                }
+
+                done(stored);
+            }
+            else {
+                done(null);
+            }
+        });
+    }
+
+
+
+    // Requests for the same URL replace each other in the queue. The
+    // navigation's `done` callback, if it has one, won't be called
+    // until the request is sent again.
+    function queueRetry(nav_id) {
+        var keep = async_keep[nav_id];
+
+        delete async_keep[nav_id];
+        setBusy(keep.state, false);
+        setLoading(keep, false);
+
+        if (conf.log) {
+            console.log("Queueing request to '"+keep.state.url+"' until the browser is back online.");
+        }
+
+        retry_queue = retry_queue.filter(function (queued) {
+            var same = ((queued.state.url == keep.state.url) && (queued.post_data == keep.post_data));
+
+            if ((same) && (queued.done)) {
+                queued.done(null, false);
+            }
+
+            return !same;
+        });
+
+        // A request that was being sent again goes back as it was.
+        if (keep.retry) {
+            retry_queue.push(keep.retry);
+            retrying = false;
+        }
+        else {
+            retry_queue.push(keep);
+        }
+
+        emitEvent('navigationError',
+                  {url: keep.state.url, status: 0, error: null, state: keep.state, offline: true, queued: true},
+                  getEventElement(keep.state));
+    }
+
+
+
+    function handleOnline() {
+        if (conf.log) {
+            console.log("Back online.");
+        }
+
+        if (!retrying) {
+            sendRetries();
+        }
+    }
+
+
+
+    // The queued requests are sent one at a time. They're kept apart
+    // from the navigations, so they won't supersede the user's, or be
+    // superseded by them. If the browser goes offline again, then the
+    // one being sent will go to the back of the queue, and the rest
+    // will wait for the next `online` event.
+    function sendRetries() {
+        if ((retry_queue.length == 0) || (isOffline())) {
+            retrying = false;
+            return;
+        }
+
+        retrying = true;
+
+        var queued = retry_queue.shift();
+
+        if (conf.log) {
+            console.log("Sending queued request to '"+queued.state.url+"' again.");
+        }
+
+        var keep = makeAsyncObject(queued.state, queued.record, queued.cache, queued.on_error);
+        keep.post_data = queued.post_data;
+        keep.source = queued.source || null;
+        keep.retry = queued;
+
+        keep.done = function (failure, result) {
+            if (queued.done) {
+                queued.done(failure, result);
+            }
+
+            sendRetries();
+        };
+
+        async_keep[retry_id] = keep;
+        requestAndHandle(retry_id);
+    }
+
+
+
+    function registerServiceWorker() {
+        if (typeof conf.service_worker != 'string') {
+            return;
+        }
+
+        if ((typeof navigator == 'undefined') || (!navigator.serviceWorker)) {
+            if (conf.log) {
+                console.log("Can't register the service worker: this browser doesn't support them.");
+            }
+
+            return;
+        }
+
+        navigator.serviceWorker.register(conf.service_worker)
+            .then(function () {
+                return navigator.serviceWorker.ready;
+            })
+            .then(function (registration) {
+                if (conf.log) {
+                    console.log("Registered the service worker at '"+conf.service_worker+"'.");
+                }
+
+                service_worker = registration.active;
+                postToServiceWorker(Object.keys(pending_urls));
+                pending_urls = { };
+            })
+            .catch(function (error) {
+                console.log("FAILURE: couldn't register the service worker at '"+conf.service_worker+"'.");
+                console.log(error);
+            });
+    }
+
+
+
+    // Until the service worker is ready, the URLs are kept, so they
+    // can be posted to it then. Only the most recent are kept, as with
+    // the `url_cache`.
+    function noteSeenUrl(url) {
+        if (typeof conf.service_worker != 'string') {
+            return;
+        }
+
+        if (service_worker) {
+            postToServiceWorker([url]);
+            return;
+        }
+
+        delete pending_urls[url];
+        pending_urls[url] = true;
+
+        var urls = Object.keys(pending_urls);
+
+        if (conf.cache > 0) {
+            urls.slice(0, Math.max(0, urls.length - conf.cache)).forEach(function (url) {
+                delete pending_urls[url];
+            });
+        }
+    }
+
+
+
+    // The service worker will fetch and keep the responses for these
+    // URLs. Each is sent with the headers Monopage would send, after
+    // the `before_request` function has had its way with them.
+    function postToServiceWorker(urls) {
+        if ((!service_worker) || (urls.length == 0)) {
+            return;
+        }
+
+        service_worker.postMessage({
+            type: 'monopage:precache',
+            requests: urls.map(function (url) {
+                var request = prepRequest(makeRequestObject(url, 'GET', null, 'precache'));
+
+                return {url: request.url, headers: request.headers, credentials: request.credentials};
+            })
+        });
+    }
+
+
+
+    // Entries are numbered as they're pushed, so going to one with a
+    // lower number is going back. This also updates the current
+    // number.
+    function getPopDirection(entry) {
+        if ((!entry) || (typeof entry.index != 'number')) {
+            return 'back';
+        }
+
+        var direction = (entry.index < history_index) ? 'back' : 'forward';
+        history_index = entry.index;
+
+        return direction;
+    }
+
+
+
+    // If the state is being restored from the history, then `restore`
+    // should be its history entry. If the state has new stylesheets,
+    // then the swap waits for them to load, and won't happen at all if
+    // another navigation starts in the meantime.
+    // The `done` callback is as passed to `followState`.
+    function makeStateCurrent(state_obj, record, restore, done) {
+        if (conf.log) {
+            console.log("Making this state the current state:");
+            console.log(state_obj);
+        }
+
+        var nav_id = nav_count;
+
+        loadHeadStyles(state_obj.head, function () {
+            if (nav_id != nav_count) {
+                if (conf.log) {
+                    console.log("Not swapping in '"+state_obj.url+"': its navigation was superseded.");
+                }
+
+                if (done) {
+                    done(null, false);
+                }
+
+                return;
+            }
+
+            swapState(state_obj, record, restore, done);
+        });
+    }
+
+
+
+    function swapState(state_obj, record, restore, done) {
+        var regions = getStateRegions(state_obj);
+        var func = getStateAction(state_obj);
+        var event_elem = (regions.length > 0) ? regions[0].element : document;
+
+        if (record == 'replace') {
+            replaceStateInHistory(state_obj);
+        }
+        else if (record) {
+            recordScroll();
+            pushStateToHistory(state_obj);
+        }
+
+        if (state_obj.title) {
+            document.title = state_obj.title;
+        }
+
+        var direction = ((record) || (restore)) ? nav_direction : null,
+            swap = getSwapMode(state_obj, restore),
+            nav_id = nav_count;
+
+        emitEvent('beforeSwap', {url: state_obj.url, state: state_obj, regions: regions, direction: direction},
+                  event_elem);
+
+        var fill = function () {
+            if ((conf.snapshot) && (!isAdditiveSwap(swap)) &&
+                ((record == 'push') || ((restore) && (direction)))) {
+                saveSnapshot(regions, swap);
+            }
+
+            regions.forEach(function (region) {
+                if ((state_obj.snapshot) && (state_obj.snapshot.regions)) {
+                    if (conf.log) {
+                        console.log("Filling target '"+region.id+"' from snapshot.");
+                    }
+
+                    restoreSnapshotRegion(region, state_obj.snapshot);
+                }
+                else {
+                    if (conf.log) {
+                        console.log("Filling target '"+region.id+"' with state body.");
+                    }
+
+                    swapRegion(region, swap);
+                }
+            });
+
+            if ((record) || (restore)) {
+                shown_index = (restore) ? restore.index : history_index;
+                shown_url = state_obj.url;
+            }
+
+            // The `outerHTML` swap replaces the elements.
+            event_elem = (regions.length > 0) ? regions[0].element : document;
+        };
+
+        // If the action failed, then `failure` will describe it.
+        var finish = function (failure) {
+            regions.forEach(function (region) {
+                touchLinksInRegion(region.element);
+            });
+
+            if ((state_obj.snapshot) && (state_obj.snapshot.hasOwnProperty('data')) &&
+                (typeof conf.snapshot_restore == 'function')) {
+                conf.snapshot_restore(state_obj.snapshot.data, state_obj, regions.map(function (region) {
+                    return region.element;
+                }));
+            }
+
+            // A state with no head data gets the initial page's, so the
+            // previous state's tags won't linger. Additions are left
+            // with the head they were added to.
+            if ((state_obj.head) || (!isAdditiveSwap(swap))) {
+                applyHead(state_obj.head || initial_head);
+            }
+
+            if (restore) {
+                restoreScroll(restore.scroll, regions);
+            }
+            else if ((record) && (!isAdditiveSwap(swap))) {
+                scrollForNavigation(state_obj);
+            }
+
+            if (((restore) || ((record) && (!isAdditiveSwap(swap)))) &&
+                (!((swap == 'morph') && (regionsHaveFocus(regions))))) {
+                focusRegion(regions);
+            }
+
+            if ((restore) || (record)) {
+                announceState(state_obj, regions);
+            }
+
+            emitEvent('afterSwap', {url: state_obj.url, state: state_obj, regions: regions, direction: direction},
+                      event_elem);
+
+            if ((done) && (failure)) {
+                done(failure);
+            }
+            else if (done) {
+                done(null, state_obj);
+            }
+        };
+
+        transitionRegions(regions, direction, nav_id, fill, function (filled) {
+            if (!filled) {
+                if (conf.log) {
+                    console.log("Not filling '"+state_obj.url+"': its navigation was superseded.");
+                }
+
+                if (done) {
+                    done(null, false);
+                }
+
+                return;
+            }
+
+            runRegionScripts(state_obj, regions, function () {
+                callStateAction(state_obj, func, event_elem, finish);
+            });
+        });
+    }
+
+
+
+    // This keeps the content of the regions being replaced, as that of
+    // the state being left. If there's a `snapshot_save` function, its
+    // return is kept instead. A morph needs the live nodes to diff
+    // against, so it gets copies of them.
+    function saveSnapshot(regions, swap) {
+        var snapshot = {index: shown_index, url: shown_url};
+
+        if (typeof conf.snapshot_save == 'function') {
+            snapshot.data = conf.snapshot_save(shown_url, regions.map(function (region) {
+                return region.element;
+            }));
+        }
+
+        else {
+            snapshot.regions = { };
+
+            regions.forEach(function (region) {
+                var fragment = document.createDocumentFragment();
+
+                if (swap == 'morph') {
+                    for (var o = 0; o < region.element.childNodes.length; o++) {
+                        fragment.appendChild(region.element.childNodes[o].cloneNode(true));
+                    }
+                }
+
+                else {
+                    while (region.element.firstChild) {
+                        fragment.appendChild(region.element.firstChild);
+                    }
+                }
+
+                snapshot.regions[region.id] = fragment;
+            });
+        }
+
+        if (conf.log) {
+            console.log("Saving snapshot of '"+shown_url+"'.");
+        }
+
+        dropSnapshotsFrom(shown_index, shown_index + 1);
+        snapshots.push(snapshot);
+
+        while (snapshots.length > conf.snapshot_limit) {
+            snapshots.shift();
+        }
+    }
+
+
+
+    // Returns the snapshot for the history entry, removing it from the
+    // store, or null if there is none. A DOM snapshot is only returned
+    // if it covers all the entry's targets.
+    function takeSnapshot(entry) {
+        if ((!conf.snapshot) || (!entry) || (typeof entry.index != 'number')) {
+            return null;
+        }
+
+        for (var o = 0; o < snapshots.length; o++) {
+            if ((snapshots[o].index == entry.index) && (snapshots[o].url == entry.url)) {
+                var snapshot = snapshots.splice(o, 1)[0];
+
+                if (snapshot.regions) {
+                    var target_ids = parseTargetIds(entry.target_ids || entry.target_id);
+
+                    if ((target_ids.length == 0) && (conf.default_target_id)) {
+                        target_ids = parseTargetIds(conf.default_target_id);
+                    }
+
+                    var complete = (target_ids.length > 0) && target_ids.every(function (id) {
+                        return snapshot.regions.hasOwnProperty(id);
+                    });
+
+                    return (complete) ? snapshot : null;
+                }
+
+                return snapshot;
+            }
+        }
+
+        return null;
+    }
+
+
+
+    function restoreSnapshotRegion(region, snapshot) {
+        while (region.element.firstChild) {
+            region.element.removeChild(region.element.firstChild);
+        }
+
+        region.element.appendChild(snapshot.regions[region.id]);
+    }
+
+
+
+    // Drops the snapshots of the entries from the `from` index up to
+    // (but not including) the `to` index, or all after `from`.
+    function dropSnapshotsFrom(from, to) {
+        snapshots = snapshots.filter(function (snapshot) {
+            return ((snapshot.index < from) || ((to) && (snapshot.index >= to)));
+        });
+    }
+
+
+
+    // When a state is restored from the history, its body replaces
+    // the target's content, since adding it again would duplicate it.
+    function getSwapMode(state_obj, restore) {
+        var swap = state_obj.swap || conf.swap;
+
+        if ((restore) && (swap != 'morph')) {
+            return 'innerHTML';
+        }
+
+        return swap;
+    }
+
+
+
+    // A morph keeps the focused element, so it shouldn't be moved.
+    function regionsHaveFocus(regions) {
+        return regions.some(function (region) {
+            return ((document.activeElement != region.element) &&
+                    (region.element.contains(document.activeElement)));
+        });
+    }
+
+
+
+    function isAdditiveSwap(swap) {
+        return ['append', 'beforeend', 'prepend', 'afterbegin'].indexOf(swap) > -1;
+    }
+
+
+
+    function swapRegion(region, swap) {
+        if (swap == 'morph') {
+            morphChildren(region.element, parseFragment(region.content));
+        }
+
+        else if (swap == 'outerHTML') {
+            var elem = region.element,
+                nodes = parseFragment(region.content).childNodes,
+                first = null;
+
+            while (nodes.length > 0) {
+                first = first || ((nodes[0].nodeType == 1) ? nodes[0] : null);
+                elem.parentNode.insertBefore(nodes[0], elem);
+            }
+
+            elem.parentNode.removeChild(elem);
+
+            region.element = document.getElementById(region.id) || first || document.body;
+        }
+
+        else if ((swap == 'append') || (swap == 'beforeend')) {
+            region.element.insertAdjacentHTML('beforeend', region.content);
+        }
+
+        else if ((swap == 'prepend') || (swap == 'afterbegin')) {
+            region.element.insertAdjacentHTML('afterbegin', region.content);
+        }
+
+        else {
+            if (swap != 'innerHTML') {
+                console.log("MAJOR MALFUNCTION: unknown swap '"+swap+"'. Using innerHTML.");
+            }
+
+            region.element.innerHTML = region.content;
+        }
+    }
+
+
+
+    function parseFragment(html) {
+        var template = document.createElement('template');
+        template.innerHTML = html;
+
+        return template.content;
+    }
+
+
+
+    // This changes the children of `from` to match those of `to`.
+    // Keyed elements are moved into place. Unkeyed nodes are matched
+    // by position, if they're the same kind of node. Unmatched nodes
+    // are added or removed.
+    function morphChildren(from, to) {
+        var keyed = { },
+            children = from.childNodes;
+
+        for (var o = 0; o < children.length; o++) {
+            var key = getMorphKey(children[o]);
+
+            if (key) {
+                keyed[key] = children[o];
+            }
+        }
+
+        var cursor = from.firstChild,
+            wanted = Array.prototype.slice.call(to.childNodes);
+
+        wanted.forEach(function (node) {
+            var key = getMorphKey(node),
+                match = null;
+
+            if ((key) && (keyed[key]) && (isSameNodeKind(keyed[key], node))) {
+                match = keyed[key];
+                delete keyed[key];
+            }
+            else if ((!key) && (cursor) && (!getMorphKey(cursor)) && (isSameNodeKind(cursor, node))) {
+                match = cursor;
+            }
+
+            if (!match) {
+                from.insertBefore(node, cursor);
+            }
+            else {
+                if (match == cursor) {
+                    cursor = cursor.nextSibling;
+                }
+                else {
+                    from.insertBefore(match, cursor);
+                }
+
+                morphNode(match, node);
+            }
+        });
+
+        while (cursor) {
+            var next = cursor.nextSibling;
+            from.removeChild(cursor);
+            cursor = next;
+        }
+    }
+
+
+
+    function morphNode(from, to) {
+        if (from.nodeType != 1) {
+            if (from.nodeValue != to.nodeValue) {
+                from.nodeValue = to.nodeValue;
+            }
+
+            return;
+        }
+
+        // A script that's already run shouldn't be touched.
+        if ((from.tagName.toLowerCase() == 'script') &&
+            (from.text == to.text) && (from.src == to.src)) {
+            return;
+        }
+
+        if (from.isEqualNode(to)) {
+            return;
+        }
+
+        for (var o = from.attributes.length - 1; o >= 0; o--) {
+            if (!to.hasAttribute(from.attributes[o].name)) {
+                from.removeAttribute(from.attributes[o].name);
+            }
+        }
+
+        for (var i = 0; i < to.attributes.length; i++) {
+            if (from.getAttribute(to.attributes[i].name) !== to.attributes[i].value) {
+                from.setAttribute(to.attributes[i].name, to.attributes[i].value);
+            }
+        }
+
+        morphChildren(from, to);
+    }
+
+
+
+    function getMorphKey(node) {
+        if (node.nodeType != 1) {
+            return null;
+        }
+
+        return node.id || node.getAttribute(conf.swap_key_attr) || null;
+    }
+
+
+
+    function isSameNodeKind(a, b) {
+        return ((a.nodeType == b.nodeType) &&
+                ((a.nodeType != 1) || (a.tagName == b.tagName)));
+    }
+
+
+
+    // This calls `fill` inside the regions' transition, if they have
+    // one, then calls `then` with true, or with false if the
+    // navigation was superseded while the old content was leaving.
+    function transitionRegions(regions, direction, nav_id, fill, then) {
+        var modes = regions.map(getRegionTransition);
+
+        // In case a previous transition is still running.
+        clearTransitionClasses(regions.map(function (region) {
+            return region.element;
+        }));
+
+        transition_nav = nav_id;
+
+        if ((!direction) || (prefersReducedMotion()) ||
+            (modes.every(function (mode) { return !mode; }))) {
+            fill();
+            then(true);
+            return;
+        }
+
+        var dir_class = (direction == 'back') ? conf.transition_class_back : conf.transition_class_forward,
+            elems = [ ];
+
+        if (dir_class) {
+            document.documentElement.classList.add(dir_class);
+        }
+
+        // A later transition will have cleared these already.
+        var cleanup = function () {
+            if (transition_nav == nav_id) {
+                clearTransitionClasses(elems);
+            }
+        };
+
+        if (conf.log) {
+            console.log("Transitioning regions (" + direction + ").");
+        }
+
+        if ((modes.indexOf('auto') > -1) && (typeof document.startViewTransition == 'function')) {
+            var transition = document.startViewTransition(fill);
+
+            transition.updateCallbackDone.then(function () {
+                then(true);
+            }, function (error) {
+                console.log("FAILURE: the view transition's update failed.");
+                console.log(error);
+                then(true);
+            });
+
+            transition.finished.then(cleanup, cleanup);
+            return;
+        }
+
+        elems = regions
+            .filter(function (region, o) {
+                return (modes[o]) ? true : false;
+            })
+            .map(function (region) {
+                return region.element;
+            });
+
+        elems.forEach(function (elem) {
+            elem.classList.add(conf.transition_class_leaving);
+        });
+
+        waitForTransitions(elems, function () {
+            if (nav_id != nav_count) {
+                cleanup();
+                then(false);
+                return;
+            }
+
+            elems.forEach(function (elem) {
+                elem.classList.remove(conf.transition_class_leaving);
+            });
+
+            fill();
+
+            elems.forEach(function (elem) {
+                elem.classList.add(conf.transition_class_entering);
+            });
+
+            then(true);
+
+            waitForTransitions(elems, cleanup);
+        });
+    }
+
+
+
+    // Removes the transition classes from the elements and the `<html>`.
+    function clearTransitionClasses(elems) {
+        elems.forEach(function (elem) {
+            elem.classList.remove(conf.transition_class_leaving);
+            elem.classList.remove(conf.transition_class_entering);
+        });
+
+        [conf.transition_class_forward, conf.transition_class_back].forEach(function (name) {
+            if (name) {
+                document.documentElement.classList.remove(name);
+            }
+        });
+    }
+
+
+
+    // Returns `css`, `auto`, or false.
+    function getRegionTransition(region) {
+        var mode = region.element.getAttribute(conf.target_attr_transition) || conf.transition;
+
+        return ((mode == 'css') || (mode == 'auto')) ? mode : false;
+    }
+
+
+
+    function prefersReducedMotion() {
+        return ((typeof window.matchMedia == 'function') &&
+                (window.matchMedia('(prefers-reduced-motion: reduce)').matches));
+    }
+
+
+
+    // Calls the `callback` once each element's transition or animation
+    // has ended. If an element has none, it won't be waited for. In
+    // case the end event never fires, each element is waited for only
+    // as long as its computed duration.
+    function waitForTransitions(elems, callback) {
+        var pending = elems.length;
+
+        var finishOne = function () {
+            pending -= 1;
+
+            if (pending == 0) {
+                callback();
+            }
+        };
+
+        if (pending == 0) {
+            callback();
+            return;
+        }
+
+        elems.forEach(function (elem) {
+            var ms = getTransitionTime(elem),
+                timer = null,
+                ended = false;
+
+            if (ms == 0) {
+                finishOne();
+                return;
+            }
+
+            var end = function (event) {
+                if ((ended) || ((event) && (event.target != elem))) {
+                    return;
+                }
+
+                ended = true;
+                window.clearTimeout(timer);
+                elem.removeEventListener('transitionend', end);
+                elem.removeEventListener('animationend', end);
+                finishOne();
+            };
+
+            elem.addEventListener('transitionend', end);
+            elem.addEventListener('animationend', end);
+            timer = window.setTimeout(end, ms + 50);
+        });
+    }
+
+
+
+    // Returns the longest of the element's transitions or animations,
+    // with its delay, in milliseconds.
+    function getTransitionTime(elem) {
+        var style = window.getComputedStyle(elem);
+
+        var toMs = function (value) {
+            return (value || '').split(',').reduce(function (max, time) {
+                var ms = (time.indexOf('ms') > -1) ? parseFloat(time) : (parseFloat(time) * 1000);
+                return (ms > max) ? ms : max;
+            }, 0);
+        };
+
+        return Math.max(toMs(style.transitionDuration) + toMs(style.transitionDelay),
+                        toMs(style.animationDuration) + toMs(style.animationDelay));
+    }
+
+
+
+    // If the action is async, the post-swap work waits for it. If it
+    // throws, or its promise rejects, `finish` is passed the failure.
+    function callStateAction(state_obj, func, event_elem, finish) {
+        var result = null;
+
+        var fail = function (error) {
+            console.log("FAILURE: return function '"+actionName(func)+"' failed.");
+            console.log(error);
+
+            var failure = {url: state_obj.url, status: 0, error: error, state: state_obj};
+
+            emitEvent('navigationError', failure, event_elem);
+
+            finish(failure);
+        };
+
+        if (func) {
+            if (conf.log) {
+                console.log("Calling return function '"+actionName(func)+"' with state object.");
+            }
+
+            var fx = resolveAction(func);
+
+            if (fx) {
+                try {
+                    result = fx(state_obj);
+                }
+                catch (error) {
+                    fail(error);
+                    return;
+                }
+            }
+        }
+
+        if ((result) && (typeof result.then == 'function')) {
+            result.then(function () {
+                finish();
+            }, fail);
+        }
+
+        else {
+            finish();
+        }
+    }
+
+
+
+    function runRegionScripts(state_obj, regions, done) {
+        if ((!conf.run_scripts) ||
+            ((conf.run_scripts == 'once') && (scripts_run[state_obj.url]))) {
+            done();
+            return;
+        }
+
+        scripts_run[state_obj.url] = true;
+
+        var scripts = [ ];
+
+        regions.forEach(function (region) {
+            var elems = region.element.getElementsByTagName('script');
+
+            for (var o = 0; o < elems.length; o++) {
+                if (isRunnableScript(elems[o])) {
+                    scripts.push(elems[o]);
+                }
+            }
+        });
+
+        if ((conf.log) && (scripts.length > 0)) {
+            console.log("Running "+scripts.length+" scripts for '"+state_obj.url+"'.");
+        }
+
+        runScripts(scripts, done);
+    }
+
+
+
+    // Scripts are run one at a time, so an inline script that follows
+    // an external one can count on it having loaded.
+    function runScripts(scripts, done) {
+        if (scripts.length == 0) {
+            done();
+            return;
+        }
+
+        var old = scripts[0],
+            rest = scripts.slice(1),
+            script = document.createElement('script');
+
+        for (var o = 0; o < old.attributes.length; o++) {
+            script.setAttribute(old.attributes[o].name, old.attributes[o].value);
+        }
+
+        if (conf.script_nonce) {
+            script.nonce = conf.script_nonce;
+        }
+
+        // So it won't be run again if the target is added to or morphed.
+        script.setAttribute('data-monopage-run', '');
+        script.text = old.text;
+
+        if (old.src) {
+            script.async = false;
+            script.onload = script.onerror = function () {
+                runScripts(rest, done);
+            };
+
+            old.parentNode.replaceChild(script, old);
+        }
+
+        else {
+            old.parentNode.replaceChild(script, old);
+            runScripts(rest, done);
+        }
+    }
+
+
+
+    // Scripts with a type that isn't JavaScript, like templates or
+    // JSON data, are left alone.
+    function isRunnableScript(script) {
+        var type = (script.getAttribute('type') || '').toLowerCase();
+
+        if (script.hasAttribute('data-monopage-run')) {
+            return false;
+        }
+
+        return ((type == '') ||
+                (type == 'module') ||
+                (/^(text|application)\/(x-)?(java|ecma)script$/.test(type)));
+    }
+
+
+
+    // A region is an element to fill and the content to fill it
+    // with. If the state's body is a string, then there will be
+    // only one region: the first target. If the body is an object,
+    // then each of its keys that names a target (or each of its keys,
+    // if the state names no targets) will be a region.
+    function getStateRegions(state_obj) {
+        var regions = [ ],
+            target_ids = state_obj.target_ids || parseTargetIds(state_obj.target_id);
+
+        if (target_ids.length == 0 && conf.default_target_id) {
+            target_ids = parseTargetIds(conf.default_target_id);
+        }
+
+        if (isRegionMap(state_obj.body)) {
+            var ids = Object.keys(state_obj.body);
+
+            if (state_obj.target_ids && state_obj.target_ids.length > 0) {
+                ids = ids.filter(function (id) {
+                    return (state_obj.target_ids.indexOf(id) > -1);
+                });
+            }
+
+            ids.forEach(function (id) {
+                regions.push({id: id, content: state_obj.body[id]});
+            });
+        }
+
+        else if (target_ids.length > 0) {
+            regions.push({id: target_ids[0], content: state_obj.body});
+        }
+
+        regions = regions.filter(function (region) {
+            region.element = document.getElementById(region.id);
+
+            if (conf.log && !region.element) {
+                console.log("No element ID'd '"+region.id+"' for current state.");
+            }
+
+            return (region.element) ? true : false;
+        });
+
+        if (conf.log) {
+            if (regions.length > 0) {
+                console.log("Using target IDs '"+regions.map(function (region) { return region.id; }).join("', '")+"' for current state.");
+            }
+            else {
+                console.log("No target ID for current state.");
+            }
+        }
+
+        return regions;
+    }
+
+
+
+    function isRegionMap(body) {
+        return ((body !== null) && (typeof body == 'object') && !Array.isArray(body));
+    }
+
+
+
+    function getStateAction(state_obj) {
+        var func = null;
+
+        if (state_obj.action) {
+            func = state_obj.action;
+        }
+
+        else if (conf.default_action) {
+            if ((typeof conf.default_action == 'string') ||
+                (typeof conf.default_action == 'function')) {
+                func = conf.default_action;
+            }
+            else {
+                console.log("MAJOR MALFUNCTION: default action is neither a function nor a string.");
+            }
+        }
+
+        if (conf.log) {
+            if (func) {
+                console.log("Using return function '"+actionName(func)+"' for current state.");
+            }
+            else {
+                console.log("No return function for current state.");
+            }
+        }
+
+        return func;
+    }
+
+
+
+    function shouldCache(link) {
+        var should = (conf.cache === 0) ? false : true;
+
+        if (helpers.hasClass(link, conf.link_class_nocache)) {
+            should = false;
+
+            if (conf.log) {
+                console.log("Should not cache state: link has '"+conf.link_class_nocache+"'.");
+            }
+        }
+
+        else {
+            if (conf.log) {
+                if (should) {
+                    console.log("Should cache state.");
+                }
+                else {
+                    console.log("Should not cache state.");
+                }
+            }
+        }
+
+        return should;
+    }
+
+
+
+    function shouldMakeHistory(link) {
+        var should = false;
+
+        if (helpers.hasClass(link, conf.link_class_nohist)) {
+            if (conf.log) {
+                console.log("Should not add history entry for " + link.getAttribute('href'));
+            }
+        }
+
+        else {
+            if (conf.log) {
+                console.log("Should add history entry for " + link.getAttribute('href'));
+            }
+
+            should = true;
+        }
+
+        return should;
+    }
+
+
+
+    function prepStateForHistory(state_obj) {
+        if (conf.log) {
+            console.log("Prepping state object for the history stack.");
+        }
+
+        var entry = {
+            target_id: state_obj.target_id,
+            target_ids: state_obj.target_ids,
+            // A route's action can be a function, which can't be stored.
+            action: (typeof state_obj.action == 'string') ? state_obj.action : null,
+            url: state_obj.url,
+            title: state_obj.title || null,
+            format: state_obj.format || null,
+            select: state_obj.select || null,
+            head: state_obj.head || null,
+            index: history_index
+        };
+
+        return entry;
+    }
+
+
+
+    // Scroll events don't bubble, but capturing them on the window
+    // catches the target elements' too. The current history entry is
+    // updated once the scrolling stops, since there's no chance to
+    // update it after the user has gone back or forward.
+    function handleScroll() {
+        if (scroll_timer) {
+            window.clearTimeout(scroll_timer);
+        }
+
+        scroll_timer = window.setTimeout(function () {
+            scroll_timer = null;
+            recordScroll();
+        }, 150);
+    }
+
+
+
+    function recordScroll() {
+        var current = window.history.state;
+
+        if ((!conf.scroll_restore) || (!current) || (typeof current != 'object')) {
+            return;
+        }
+
+        var entry = { };
+
+        Object.keys(current).forEach(function (key) {
+            entry[key] = current[key];
+        });
+
+        entry.scroll = {
+            x: window.pageXOffset,
+            y: window.pageYOffset,
+            regions: { }
+        };
+
+        parseTargetIds(current.target_ids || current.target_id).forEach(function (id) {
+            var elem = document.getElementById(id);
+
+            if ((elem) && ((elem.scrollTop) || (elem.scrollLeft))) {
+                entry.scroll.regions[id] = {x: elem.scrollLeft, y: elem.scrollTop};
+            }
+        });
+
+        window.history.replaceState(entry, '', window.location.href);
+    }
+
+
+
+    function restoreScroll(scroll, regions) {
+        if ((!conf.scroll_restore) || (!scroll)) {
+            return;
+        }
+
+        if (conf.log) {
+            console.log("Restoring scroll position to "+scroll.x+", "+scroll.y+".");
+        }
+
+        regions.forEach(function (region) {
+            var pos = (scroll.regions) ? scroll.regions[region.id] : null;
 
-            delete async_keep[url];
+            if (pos) {
+                region.element.scrollLeft = pos.x;
+                region.element.scrollTop = pos.y;
+            }
+        });
+
+        window.scrollTo(scroll.x, scroll.y);
+    }
+
+
+
+    function scrollForNavigation(state_obj) {
+        var hash = state_obj.url.split('#')[1],
+            anchor = null;
+
+        if (hash) {
+            try {
+                hash = decodeURIComponent(hash);
+            }
+            catch (error) {
+                // A malformed hash is used as is.
+            }
+
+            anchor = document.getElementById(hash) || document.getElementsByName(hash)[0];
         }
 
-        else {
-            console.log("DISASTER: no state retained for '"+url+"' prior to making AJAX call.");
+        if (anchor) {
+            if (conf.log) {
+                console.log("Scrolling to '#"+hash+"'.");
+            }
+
+            anchor.scrollIntoView();
         }
 
+        else if (conf.scroll_on_navigate == 'top') {
+            window.scrollTo(0, 0);
+        }
     }
 
 
 
-    function makeStateCurrent(state_obj, record) {
-        if (conf.log) {
-            console.log("Making this state the current state:");
-            console.log(state_obj);
+    // This reads the head data from the given document, which will
+    // be the current one if none is given.
+    function captureHead(doc) {
+        var head = {meta: [ ], canonical: null},
+            elems = (doc || document).head.querySelectorAll(conf.head_capture);
+
+        for (var o = 0; o < elems.length; o++) {
+            if (elems[o].tagName.toLowerCase() == 'meta') {
+                var attr = (elems[o].hasAttribute('name')) ? 'name' : 'property',
+                    item = {content: elems[o].getAttribute('content')};
+
+                item[attr] = elems[o].getAttribute(attr);
+                head.meta.push(item);
+            }
+
+            else if (elems[o].getAttribute('rel') == 'canonical') {
+                head.canonical = helpers.prefixUrl(elems[o].getAttribute('href'));
+            }
         }
 
-        var target = getStateTarget(state_obj);
-        var func = getStateAction(state_obj);
+        return head;
+    }
 
-        if (record) {
-            pushStateToHistory(state_obj);
+
+
+    // This adds the head's stylesheets that aren't already in the
+    // document, then calls `done` when they've all loaded, failed, or
+    // timed out.
+    function loadHeadStyles(head, done) {
+        var urls = ((head) && (Array.isArray(head.stylesheets))) ? head.stylesheets : [ ];
+
+        urls = urls.map(function (url) {
+            return helpers.prefixUrl(url);
+        }).filter(function (url) {
+            return (!findHeadElement('link', 'href', url));
+        });
+
+        if (urls.length == 0) {
+            done();
+            return;
         }
 
-        if (target) {
+        var pending = urls.length,
+            timer = null;
+
+        var finish = function () {
+            pending -= 1;
+
+            if (pending == 0) {
+                window.clearTimeout(timer);
+                done();
+            }
+        };
+
+        timer = window.setTimeout(function () {
             if (conf.log) {
-                console.log("Filling target with state body.");
+                console.log("Gave up waiting for stylesheets.");
             }
 
-            target.innerHTML = state_obj.body;
-        }
+            pending = 1;
+            finish();
+        }, conf.head_style_timeout);
 
-        if (func) {
+        urls.forEach(function (url) {
             if (conf.log) {
-                console.log("Calling return function '"+func+"' with state object.");
+                console.log("Loading stylesheet '"+url+"'.");
             }
 
-            var fx = Utils.stringToFunction(func);
-            fx(state_obj);
-        }
+            var link = document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = url;
+            link.setAttribute('data-monopage-head', '');
+            link.onload = finish;
+            link.onerror = finish;
+
+            document.head.appendChild(link);
+        });
     }
 
 
 
-    function getStateTarget(state_obj) {
-        var target = null,
-            target_id = null;
+    // This diffs the head data into the `<head>`. Meta tags and the
+    // canonical link that the previous state named but this one
+    // doesn't are removed, as are the stylesheets Monopage added that
+    // this state doesn't name. Scripts are only ever added, since
+    // removing them wouldn't undo them anyway.
+    function applyHead(head) {
+        if (!head) {
+            return;
+        }
+
+        if (conf.log) {
+            console.log("Applying head data for current state.");
+        }
+
+        var prev = current_head || { },
+            keep = { };
+
+        (head.meta || [ ]).forEach(function (item) {
+            var attr = (item.name) ? 'name' : 'property';
+
+            if (!item[attr]) {
+                return;
+            }
+
+            var elem = findHeadElement('meta', attr, item[attr]);
+
+            if (!elem) {
+                elem = document.createElement('meta');
+                elem.setAttribute(attr, item[attr]);
+                elem.setAttribute('data-monopage-head', '');
+                document.head.appendChild(elem);
+            }
+
+            elem.setAttribute('content', item.content);
+            keep[attr + '=' + item[attr]] = true;
+        });
+
+        (prev.meta || [ ]).forEach(function (item) {
+            var attr = (item.name) ? 'name' : 'property';
+
+            if (!item[attr]) {
+                return;
+            }
+
+            var elem = findHeadElement('meta', attr, item[attr]);
+
+            if ((elem) && (!keep[attr + '=' + item[attr]])) {
+                elem.parentNode.removeChild(elem);
+            }
+        });
+
+        var canonical = findHeadElement('link', 'rel', 'canonical');
+
+        if (head.canonical) {
+            if (!canonical) {
+                canonical = document.createElement('link');
+                canonical.rel = 'canonical';
+                canonical.setAttribute('data-monopage-head', '');
+                document.head.appendChild(canonical);
+            }
 
-        if (state_obj.target_id) {
-            target_id = state_obj.target_id;
+            canonical.href = head.canonical;
         }
-        else if (conf.default_target_id) {
-            target_id = conf.default_target_id;
+        else if ((canonical) && (prev.canonical)) {
+            canonical.parentNode.removeChild(canonical);
         }
 
-        if (target_id) {
-            target = document.getElementById(target_id);
+        var sheets = (head.stylesheets || [ ]).map(function (url) {
+            return helpers.prefixUrl(url);
+        });
+
+        var added = document.head.querySelectorAll('link[rel="stylesheet"][data-monopage-head]');
+
+        for (var o = 0; o < added.length; o++) {
+            if (sheets.indexOf(added[o].href) < 0) {
+                added[o].parentNode.removeChild(added[o]);
+            }
         }
 
-        if (conf.log) {
-            if (target) {
-                console.log("Using target ID '"+target_id+"' for current state.");
+        (head.scripts || [ ]).forEach(function (url) {
+            url = helpers.prefixUrl(url);
+
+            if (!findHeadElement('script', 'src', url)) {
+                var script = document.createElement('script');
+                script.src = url;
+                script.async = false;
+                script.setAttribute('data-monopage-head', '');
+                document.head.appendChild(script);
             }
-            else {
-                console.log("No target ID for current state.");
+        });
+
+        current_head = head;
+    }
+
+
+
+    // Attribute values are compared directly rather than via a
+    // selector, so they don't need escaping. URLs are compared via
+    // the elements' resolved properties. A missing value matches
+    // nothing, rather than every element without the attribute.
+    function findHeadElement(tag, attr, value) {
+        if (!value) {
+            return null;
+        }
+
+        var elems = document.getElementsByTagName(tag);
+
+        for (var o = 0; o < elems.length; o++) {
+            var current = ((attr == 'href') || (attr == 'src')) ? elems[o][attr] : elems[o].getAttribute(attr);
+
+            if (current === value) {
+                return elems[o];
             }
         }
 
-        return target;
+        return null;
     }
 
 
 
-    function getStateAction(state_obj) {
-        var func = null;
+    // The message is cleared first, then set a moment later, so the
+    // same message twice in a row will still be announced.
+    function announceState(state_obj, regions) {
+        if (!conf.announce) {
+            return;
+        }
 
-        if (state_obj.action) {
-            func = state_obj.action;
+        var title = state_obj.title;
+
+        if ((!title) && (regions.length > 0)) {
+            var heading = regions[0].element.querySelector('h1, h2, h3, h4, h5, h6');
+            title = (heading) ? heading.textContent.trim() : '';
         }
 
-        else if (conf.default_action) {
-            if (typeof conf.default_action == 'string') {
-                func = conf.default_action;
-            }
-            else if (typeof conf.default_action == 'function') {
-                func = String(conf.default_action);
+        var message = String(conf.announce_message).replace(/\{title\}/g, title || document.title);
+        var region = getAnnouncer();
+
+        if (conf.log) {
+            console.log("Announcing '"+message+"'.");
+        }
+
+        region.textContent = '';
+
+        window.setTimeout(function () {
+            region.textContent = message;
+        }, 100);
+    }
+
+
+
+    // The live region is visually hidden, but not hidden from screen
+    // readers.
+    function getAnnouncer() {
+        var region = document.getElementById(conf.announce_id);
+
+        if (!region) {
+            region = document.createElement('div');
+            region.id = conf.announce_id;
+            region.setAttribute('role', 'status');
+            region.setAttribute('aria-live', 'polite');
+            region.setAttribute('aria-atomic', 'true');
+            region.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;' +
+                'overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0;';
+
+            document.body.appendChild(region);
+        }
+
+        return region;
+    }
+
+
+
+    // The loading state is shown after the `loading_delay`, if the
+    // request is still pending then.
+    function setLoading(keep, loading) {
+        if (loading) {
+            if (conf.loading_delay > 0) {
+                keep.loading_timer = window.setTimeout(function () {
+                    showLoading(keep);
+                }, conf.loading_delay);
             }
             else {
-                console.log("MAJOR MALFUNCTION: default action is neither a function nor a string.");
+                showLoading(keep);
             }
         }
 
-        if (conf.log) {
-            if (func) {
-                console.log("Using return function '"+func+"' for current state.");
-            }
-            else {
-                console.log("No return function for current state.");
+        else {
+            window.clearTimeout(keep.loading_timer);
+
+            if (keep.loading) {
+                hideLoading(keep);
             }
         }
+    }
 
-        return func;
+
+
+    function showLoading(keep) {
+        keep.loading = true;
+
+        if (conf.loading_class) {
+            getLoadingElements(keep).forEach(function (elem) {
+                elem.classList.add(conf.loading_class);
+            });
+        }
+
+        if (conf.progress_bar) {
+            startProgressBar();
+        }
     }
 
 
 
-    function shouldCache(link) {
-        var should = (conf.cache === 0) ? false : true;
+    function hideLoading(keep) {
+        keep.loading = false;
 
-        if (Clattr.has(link, conf.link_class_nocache)) {
-            should = false;
+        if (conf.loading_class) {
+            getLoadingElements(keep).forEach(function (elem) {
+                elem.classList.remove(conf.loading_class);
+            });
+        }
 
-            if (conf.log) {
-                console.log("Should not cache state: link has '"+conf.link_class_nocache+"'.");
-            }
+        if (conf.progress_bar) {
+            finishProgressBar();
         }
+    }
 
-        else {
-            if (conf.log) {
-                if (should) {
-                    console.log("Should cache state.");
-                }
-                else {
-                    console.log("Should not cache state.");
-                }
+
+
+    function getLoadingElements(keep) {
+        var elems = [document.documentElement],
+            target_ids = parseTargetIds(keep.state.target_ids || keep.state.target_id);
+
+        if ((target_ids.length == 0) && (conf.default_target_id)) {
+            target_ids = parseTargetIds(conf.default_target_id);
+        }
+
+        target_ids.forEach(function (id) {
+            var elem = document.getElementById(id);
+
+            if (elem) {
+                elems.push(elem);
             }
+        });
+
+        if ((keep.source) && (keep.source.classList)) {
+            elems.push(keep.source);
         }
 
-        return should;
+        return elems;
     }
 
 
 
-    function shouldMakeHistory(link) {
-        var should = false;
+    function getProgressBar() {
+        var bar = document.getElementById(conf.progress_bar_id);
 
-        if (Clattr.has(link, conf.link_class_nohist)) {
-            if (conf.log) {
-                console.log("Should not add history entry for " + link.getAttribute('href'));
-            }
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.id = conf.progress_bar_id;
+            bar.setAttribute('aria-hidden', 'true');
+            bar.style.cssText = 'position: fixed; top: 0; left: 0; z-index: 2147483647; ' +
+                'height: 3px; width: 0; opacity: 0; background: ' + conf.progress_bar_color + '; ' +
+                'transition: width .2s ease, opacity .3s ease;';
+            document.body.appendChild(bar);
         }
 
-        else {
-            if (conf.log) {
-                console.log("Should add history entry for " + link.getAttribute('href'));
-            }
+        return bar;
+    }
 
-            should = true;
+
+
+    function setProgressBar(width, opacity) {
+        var bar = getProgressBar();
+
+        progress_width = width;
+        bar.style.width = width + '%';
+        bar.style.opacity = opacity;
+    }
+
+
+
+    function startProgressBar() {
+        window.clearTimeout(progress_timer);
+        setProgressBar(10, '1');
+    }
+
+
+
+    // If the total is unknown, each step moves the bar a fifth of the
+    // way to 90%.
+    function moveProgressBar(loaded, total) {
+        var width = (total > 0)
+            ? (10 + (80 * Math.min((loaded / total), 1)))
+            : (progress_width + ((90 - progress_width) / 5));
+
+        setProgressBar(Math.max(width, progress_width), '1');
+    }
+
+
+
+    // The bar is filled, then faded out, then emptied.
+    function finishProgressBar() {
+        setProgressBar(100, '1');
+
+        progress_timer = window.setTimeout(function () {
+            setProgressBar(100, '0');
+
+            progress_timer = window.setTimeout(function () {
+                setProgressBar(0, '0');
+            }, 300);
+        }, 200);
+    }
+
+
+
+    function setBusy(state_obj, busy) {
+        if (!conf.announce) {
+            return;
         }
 
-        return should;
+        var target_ids = parseTargetIds(state_obj.target_ids || state_obj.target_id);
+
+        if ((target_ids.length == 0) && (conf.default_target_id)) {
+            target_ids = parseTargetIds(conf.default_target_id);
+        }
+
+        target_ids.forEach(function (id) {
+            var elem = document.getElementById(id);
+
+            if (elem) {
+                if (busy) {
+                    elem.setAttribute('aria-busy', 'true');
+                }
+                else {
+                    elem.removeAttribute('aria-busy');
+                }
+            }
+        });
     }
 
 
 
-    function prepStateForHistory(state_obj) {
-        if (conf.log) {
-            console.log("Prepping state object for the history stack.");
+    // Elements that can't take focus are given a `tabindex` of -1,
+    // which lets them be focused by script but not by tabbing.
+    function focusRegion(regions) {
+        if ((!conf.focus_on_navigate) || (regions.length == 0)) {
+            return;
         }
 
-        var entry = {
-            target_id: state_obj.target_id,
-            action: state_obj.action,
-            url: state_obj.url
-        };
+        var elem = regions[0].element;
 
-        return entry;
+        if (!elem.hasAttribute('tabindex')) {
+            elem.setAttribute('tabindex', '-1');
+        }
+
+        try {
+            elem.focus({preventScroll: true});
+        }
+        catch (error) {
+            elem.focus();
+        }
     }
 
 
@@ -748,7 +5590,21 @@ var Monopage = (function () {
             console.log("Adding history entry for " + state_obj.url);
         }
 
-        window.history.pushState(prepStateForHistory(state_obj), '', state_obj.url);
+        history_index += 1;
+        dropSnapshotsFrom(history_index);
+        window.history.pushState(prepStateForHistory(state_obj), state_obj.title || '', state_obj.url);
+
+        return true;
+    }
+
+
+
+    function replaceStateInHistory(state_obj) {
+        if (conf.log) {
+            console.log("Replacing history entry with " + state_obj.url);
+        }
+
+        window.history.replaceState(prepStateForHistory(state_obj), state_obj.title || '', state_obj.url);
 
         return true;
     }
@@ -757,14 +5613,44 @@ var Monopage = (function () {
 
 
 
+    if (options) {
+        makeNewConf(options);
+    }
+
+
+
+
+
     /*
      * Public methods.
      */
     return {
 
         init: function(body, target, func, call) {
+            if (conf.delegate) {
+                bindDelegates();
+            }
+
             touchLinksInRegion(document);
             setInitialState(window.location.href, body, target, func, call);
+            loadPersistedCache();
+
+            if (conf.scroll_restore) {
+                if ('scrollRestoration' in window.history) {
+                    window.history.scrollRestoration = 'manual';
+                }
+
+                window.addEventListener('scroll', handleScroll, true);
+            }
+
+            window.addEventListener('popstate', handlePop);
+            window.addEventListener('online', handleOnline);
+
+            registerServiceWorker();
+        },
+
+        destroy: function() {
+            destroy();
         },
 
         click: function(evt) {
@@ -775,22 +5661,105 @@ var Monopage = (function () {
             handlePop(evt);
         },
 
+        navigate: function(url, options) {
+            return navigateTo(url, options);
+        },
+
+        replace: function(url, options) {
+            return navigateTo(url, helpers.sieve((options || { }), {history: 'replace'}));
+        },
+
+        reload: function() {
+            return reloadState();
+        },
+
+        back: function() {
+            window.history.back();
+        },
+
         touch: function(element) {
+            if (delegated) {
+                if (conf.log) {
+                    console.log("Not touching region: links are delegated.");
+                }
+
+                return;
+            }
+
             touchLinksInRegion(element);
         },
 
+        on: function(name, func) {
+            return addHook(name, func);
+        },
+
+        off: function(name, func) {
+            return removeHook(name, func);
+        },
+
+        registerAction: function(name, func) {
+            return registerAction(name, func);
+        },
+
+        unregisterAction: function(name) {
+            return unregisterAction(name);
+        },
+
+        routes: function(routes) {
+            return setRoutes(routes);
+        },
+
         setConf: function(new_conf) {
             return makeNewConf(new_conf);
         },
 
         resetConf: function() {
             return resetConfToDefault();
+        },
+
+        setHelpers: function(new_helpers) {
+            return setHelpers(new_helpers);
+        },
+
+        cache: {
+            get: function(url) {
+                return getBodyFromCache(helpers.prefixUrl(url));
+            },
+
+            set: function(url, body, ttl) {
+                return addBodyToCache(makeStateObject(url, body),
+                                      (typeof ttl == 'string') ? parseCacheTtl(ttl) : ttl);
+            },
+
+            delete: function(url) {
+                return removeFromCache(helpers.prefixUrl(url));
+            },
+
+            clear: function() {
+                clearCache();
+            },
+
+            invalidate: function(pattern) {
+                return invalidateCache(pattern);
+            }
         }
 
     };
-})();
+}
+
+
+
+// This is the default instance, available as the global `Monopage`.
+var Monopage = createMonopage();
+
+if ((typeof module == 'object') && (module.exports)) {
+    module.exports = {createMonopage: createMonopage, Monopage: Monopage};
+}
 
-window.onpopstate = Monopage.pop;
+if (typeof window == 'object') {
+    window.createMonopage = createMonopage;
+    window.Monopage = Monopage;
+}
 
 // The `window.onload` function should be set elsewhere. It should
 // call `Monopage.init` with the appropriate parameters.
@@ -0,0 +1,25 @@
+/*
+ * MONOPAGE, as an ES module.
+ *
+ * import { createMonopage, Monopage } from './monopage.mjs';
+ *
+ * Monopage.js is written as a plain script, and this doesn't copy
+ * it. Where CommonJS modules can be imported (as in Node and most
+ * bundlers), its `module.exports` are what's exported here. Where
+ * they can't (as when a browser loads this file directly), Monopage
+ * will have added `createMonopage` and the default `Monopage`
+ * instance to the window instead, so those are.
+ *
+ */
+
+import * as source from './monopage.js';
+
+var lib = ((source.default) && (typeof source.default.createMonopage == 'function'))
+    ? source.default
+    : globalThis;
+
+export var createMonopage = lib.createMonopage;
+
+export var Monopage = lib.Monopage;
+
+export default Monopage;
@@ -0,0 +1,78 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+
+test('the least recently used entry is dropped when over the limit', function () {
+    var page = helpers.makePage({conf: {cache: 2}});
+
+    page.monopage.cache.set('/a', 'A');
+    page.monopage.cache.set('/b', 'B');
+    page.monopage.cache.get('/a');
+    page.monopage.cache.set('/c', 'C');
+
+    assert.strictEqual(page.monopage.cache.get('/a'), 'A');
+    assert.strictEqual(page.monopage.cache.get('/b'), false);
+    assert.strictEqual(page.monopage.cache.get('/c'), 'C');
+});
+
+
+test('an expired entry is a miss, and is removed', function () {
+    var page = helpers.makePage();
+    var now = Date.now();
+    page.window.Date.now = function () { return now; };
+
+    page.monopage.cache.set('/a', 'A', 10);
+    page.monopage.cache.set('/b', 'B', 'max-age=60');
+
+    now += 30 * 1000;
+
+    assert.strictEqual(page.monopage.cache.get('/a'), false);
+    assert.strictEqual(page.monopage.cache.get('/b'), 'B');
+
+    now += 60 * 1000;
+
+    assert.strictEqual(page.monopage.cache.get('/b'), false);
+});
+
+
+test('entries are dropped to stay within the byte budget', function () {
+    // Bodies are measured at two bytes per character.
+    var page = helpers.makePage({conf: {cache_max_bytes: 30}});
+
+    page.monopage.cache.set('/a', '0123456789');
+    page.monopage.cache.set('/b', '0123456789');
+
+    assert.strictEqual(page.monopage.cache.get('/a'), false);
+    assert.strictEqual(page.monopage.cache.get('/b'), '0123456789');
+
+    assert.strictEqual(page.monopage.cache.set('/c', new Array(22).join('x')), false);
+    assert.strictEqual(page.monopage.cache.get('/b'), '0123456789');
+});
+
+
+test('a response that says not to be cached is not', async function () {
+    var page = helpers.makePage({conf: {response_format: 'json'}});
+    page.monopage.init('home', 'main', false, false);
+
+    var nav = page.monopage.navigate('/a', {target: 'main'});
+    page.reply(0, JSON.stringify({body: 'A', cache: 'no-store'}));
+    await nav;
+
+    assert.strictEqual(page.monopage.cache.get('/a'), false);
+});
+
+
+test('invalidating a path drops it and what is under it, but not its lookalikes', function () {
+    var page = helpers.makePage();
+
+    ['/posts', '/posts/1', '/posts?page=2', '/posts#top', '/postscript'].forEach(function (url) {
+        page.monopage.cache.set(url, url);
+    });
+
+    assert.strictEqual(page.monopage.cache.invalidate('/posts'), 4);
+    assert.strictEqual(page.monopage.cache.get('/postscript'), '/postscript');
+
+    assert.strictEqual(page.monopage.cache.invalidate(new page.window.RegExp('script$')), 1);
+    assert.strictEqual(page.monopage.cache.get('/postscript'), false);
+});
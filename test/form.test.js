@@ -0,0 +1,104 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var html = '<!DOCTYPE html><html><head><title>Home</title></head><body>' +
+    '<div id="main">home</div>' +
+    '<form id="search" class="link-in" action="/search#results" target="main">' +
+    '<input name="q" value="two words">' +
+    '<input name="off" value="x" disabled>' +
+    '<input type="checkbox" name="c" value="1" checked>' +
+    '<input type="checkbox" name="c" value="2">' +
+    '<select name="s" multiple><option selected>a</option><option>b</option><option selected>c</option></select>' +
+    '<button name="go" value="yes">go</button>' +
+    '</form>' +
+    '<form id="post" class="link-in" method="post" action="/posts" target="main">' +
+    '<input name="title" value="Hi &amp; bye">' +
+    '</form>' +
+    '</body></html>';
+
+
+test('a GET form navigates to its action with its fields in the query', async function () {
+    var page = helpers.makePage({html: html});
+    page.monopage.init('home', 'main', false, false);
+
+    var form = page.document.getElementById('search');
+    form.requestSubmit(form.querySelector('button'));
+
+    var request = page.requests[0].request;
+
+    assert.strictEqual(request.method, 'GET');
+    assert.strictEqual(request.url, 'https://ex.com/search?q=two+words&c=1&s=a&s=c&go=yes');
+
+    page.reply(0, 'results', {url: request.url});
+    await helpers.wait(10);
+
+    assert.strictEqual(page.window.location.href, request.url);
+    assert.strictEqual(page.monopage.cache.get(request.url), 'results');
+});
+
+
+test('a POST form sends its fields as the body, and is not recorded or cached', async function () {
+    var page = helpers.makePage({html: html});
+    page.monopage.init('home', 'main', false, false);
+
+    var length = page.window.history.length;
+    page.document.getElementById('post').requestSubmit();
+
+    var request = page.requests[0].request;
+
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, 'https://ex.com/posts');
+    assert.strictEqual(request.body, 'title=Hi+%26+bye');
+    assert.strictEqual(request.headers['Content-Type'], 'application/x-www-form-urlencoded');
+
+    page.reply(0, 'saved');
+    await helpers.wait(10);
+
+    assert.strictEqual(page.document.getElementById('main').innerHTML, 'saved');
+    assert.strictEqual(page.window.history.length, length);
+    assert.strictEqual(page.window.location.href, 'https://ex.com/');
+    assert.strictEqual(page.monopage.cache.get('/posts'), false);
+});
+
+
+test('the response can name the URL to record only for a post', async function () {
+    var page = helpers.makePage({html: html, conf: {response_format: 'json', form_history: 'push'}});
+    page.monopage.init('home', 'main', false, false);
+
+    var nav = page.monopage.navigate('/a', {target: 'main'});
+    page.reply(0, JSON.stringify({body: 'A', url: '/elsewhere'}));
+    await nav;
+
+    assert.strictEqual(page.window.location.href, 'https://ex.com/a');
+
+    page.document.getElementById('post').requestSubmit();
+    page.reply(1, JSON.stringify({body: 'saved', url: '/posts/7'}));
+    await helpers.wait(10);
+
+    assert.strictEqual(page.window.location.href, 'https://ex.com/posts/7');
+});
+
+
+test('a failed POST falls back to submitting the form', async function () {
+    var submitted = [ ];
+    var assigned = [ ];
+
+    var page = helpers.makePage({
+        html: html,
+        conf: {error_fallback_load: true},
+        before: function (window) {
+            window.console.log = function () { };
+            window.HTMLFormElement.prototype.submit = function () { submitted.push(this.id); };
+        }
+    });
+
+    page.monopage.init('home', 'main', false, false);
+    page.window.location.assign = function (url) { assigned.push(url); };
+
+    page.document.getElementById('post').requestSubmit();
+    page.reply(0, '', {ok: false, status: 500});
+
+    assert.deepStrictEqual(submitted, ['post']);
+    assert.strictEqual(assigned.length, 0);
+});
@@ -0,0 +1,31 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var html = '<!DOCTYPE html><html><head><meta charset="utf-8"><title>Home</title></head><body>' +
+    '<div id="main">home</div>' +
+    '</body></html>';
+
+
+
+test('meta items without a name or property leave other meta tags alone', async function () {
+    var page = helpers.makePage({html: html, conf: {response_format: 'json'}});
+    page.window.console.log = function () { };
+    page.monopage.init('home', 'main', false, false);
+
+    var first = page.monopage.navigate('/a', {target: 'main'});
+    page.reply(0, JSON.stringify({body: 'A', head: {meta: [
+        {'http-equiv': 'X-UA-Compatible', content: 'IE=edge'},
+        {name: 'description', content: 'A'}
+    ]}}));
+    await first;
+
+    assert.strictEqual(page.document.querySelectorAll('meta[name="description"]').length, 1);
+
+    var second = page.monopage.navigate('/b', {target: 'main'});
+    page.reply(1, JSON.stringify({body: 'B', head: {meta: [ ]}}));
+    await second;
+
+    assert.strictEqual(page.document.querySelectorAll('meta[charset]').length, 1);
+    assert.strictEqual(page.document.querySelectorAll('meta[name="description"]').length, 0);
+});
@@ -0,0 +1,86 @@
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var source = fs.readFileSync(path.join(__dirname, '..', 'monopage.js'), 'utf8');
+
+var default_html = '<!DOCTYPE html><html><head><title>Home</title></head><body>' +
+    '<div id="main">home</div>' +
+    '<a id="link" class="link-in" href="/page" target="main">page</a>' +
+    '</body></html>';
+
+
+
+// This makes a window with Monopage loaded into it, and an instance
+// whose transport holds each request until the test replies to it.
+// The `options` can contain the `html` of the page, the `conf` for
+// the instance, and a `before` function that will be passed the
+// window before Monopage is loaded.
+function makePage(options) {
+    options = options || { };
+
+    var dom = new JSDOM(options.html || default_html, {
+        url: 'https://ex.com/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+
+    var window = dom.window;
+    window.scrollTo = function () { };
+
+    if (options.before) {
+        options.before(window);
+    }
+
+    window.eval(source);
+
+    var requests = [ ];
+
+    var conf = Object.assign({
+        response_format: 'html',
+        transport: function (request, callback) {
+            requests.push({request: request, callback: callback});
+
+            return {
+                abort: function () {
+                    request.aborted = true;
+                }
+            };
+        }
+    }, options.conf);
+
+    return {
+        window: window,
+        document: window.document,
+        monopage: window.createMonopage(conf),
+        requests: requests,
+
+        // The `reply` can override the default `ok` reply's fields.
+        reply: function (index, text, reply) {
+            var pending = requests[index];
+
+            pending.callback(Object.assign({
+                ok: true,
+                status: 200,
+                text: text,
+                url: pending.request.url,
+                header: function () { return null; }
+            }, reply));
+        }
+    };
+}
+
+
+
+function wait(ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms || 0);
+    });
+}
+
+
+
+module.exports = {
+    makePage: makePage,
+    wait: wait
+};
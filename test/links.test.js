@@ -0,0 +1,29 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var html = '<!DOCTYPE html><html><head><title>Home</title></head><body>' +
+    '<div id="main">home</div>' +
+    '<a id="link" class="go" href="/page" target="main">page</a>' +
+    '</body></html>';
+
+
+
+test('links matched by the link_selector are bound and unbound', async function () {
+    var page = helpers.makePage({html: html, conf: {link_selector: '.go'}});
+    page.window.console.log = function () { };
+    page.monopage.init('home', 'main', false, false);
+
+    var link = page.document.getElementById('link');
+    link.click();
+    assert.strictEqual(page.requests.length, 1);
+    assert.strictEqual(page.requests[0].request.url, 'https://ex.com/page');
+
+    page.monopage.destroy();
+
+    // Without the listener, jsdom would navigate, which it doesn't
+    // implement, so the default is prevented here.
+    page.document.addEventListener('click', function (event) { event.preventDefault(); });
+    link.click();
+    assert.strictEqual(page.requests.length, 1);
+});
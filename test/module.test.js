@@ -0,0 +1,21 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+
+test('the ES module can be imported without a window', async function () {
+    var lib = await import('../monopage.mjs');
+
+    assert.strictEqual(typeof globalThis.window, 'undefined');
+    assert.strictEqual(typeof lib.createMonopage, 'function');
+    assert.strictEqual(typeof lib.Monopage.init, 'function');
+    assert.strictEqual(lib.default, lib.Monopage);
+});
+
+
+test('the package resolves to the same instance either way', async function () {
+    var esm = await import('monopage');
+    var cjs = require('monopage');
+
+    assert.strictEqual(esm.Monopage, cjs.Monopage);
+    assert.strictEqual(esm.createMonopage, cjs.createMonopage);
+});
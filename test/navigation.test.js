@@ -0,0 +1,56 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+
+test('a later navigation supersedes an earlier one', async function () {
+    var page = helpers.makePage();
+    page.monopage.init('home', 'main', false, false);
+
+    var first = page.monopage.navigate('/a', {target: 'main'});
+    var second = page.monopage.navigate('/b', {target: 'main'});
+
+    assert.strictEqual(page.requests[0].request.aborted, true);
+
+    page.reply(1, 'B');
+    page.reply(0, 'A');
+
+    assert.strictEqual(await first, false);
+    assert.strictEqual((await second).url, 'https://ex.com/b');
+    assert.strictEqual(page.document.getElementById('main').innerHTML, 'B');
+    assert.strictEqual(page.window.location.href, 'https://ex.com/b');
+});
+
+
+test('a stale reply is discarded even if it arrives first', async function () {
+    var page = helpers.makePage();
+    page.monopage.init('home', 'main', false, false);
+
+    var first = page.monopage.navigate('/a', {target: 'main'});
+    var second = page.monopage.navigate('/b', {target: 'main'});
+
+    page.reply(0, 'A');
+    page.reply(1, 'B');
+
+    assert.strictEqual(await first, false);
+    await second;
+
+    assert.strictEqual(page.document.getElementById('main').innerHTML, 'B');
+    assert.strictEqual(page.monopage.cache.get('/a'), false);
+});
+
+
+test('a navigation started while styles load keeps the older one from swapping', async function () {
+    var page = helpers.makePage({conf: {response_format: 'json', head_style_timeout: 50}});
+    page.monopage.init('home', 'main', false, false);
+
+    var first = page.monopage.navigate('/a', {target: 'main'});
+    page.reply(0, JSON.stringify({body: 'A', head: {stylesheets: ['/a.css']}}));
+
+    var second = page.monopage.navigate('/b', {target: 'main'});
+    page.reply(1, JSON.stringify({body: 'B'}));
+
+    assert.notStrictEqual(await second, false);
+    assert.strictEqual(await first, false);
+    assert.strictEqual(page.document.getElementById('main').innerHTML, 'B');
+});
@@ -0,0 +1,163 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+// The `navigator.onLine` flag is read through this.
+function makeOfflinePage(options) {
+    var network = {online: true};
+
+    var page = helpers.makePage(Object.assign({}, options, {
+        before: function (window) {
+            Object.defineProperty(window.navigator, 'onLine', {
+                get: function () { return network.online; },
+                configurable: true
+            });
+
+            if ((options) && (options.before)) {
+                options.before(window);
+            }
+        }
+    }));
+
+    page.network = network;
+    page.window.console.log = function () { };
+
+    return page;
+}
+
+
+test('an expired cached body is used while offline', async function () {
+    var page = makeOfflinePage();
+    page.monopage.init('home', 'main', false, false);
+
+    page.monopage.cache.set('/a', 'A', 1);
+    page.window.Date.now = function () { return Date.now() + 5000; };
+    page.network.online = false;
+
+    var state = await page.monopage.navigate('/a', {target: 'main'});
+
+    assert.strictEqual(state.body, 'A');
+    assert.strictEqual(page.document.getElementById('main').innerHTML, 'A');
+    assert.strictEqual(page.requests.length, 0);
+});
+
+
+test('a queued request sent again does not supersede the user\'s navigation', async function () {
+    var page = makeOfflinePage({html: '<body><div id="main">home</div><div id="side">side</div></body>'});
+    page.monopage.init('home', 'main', false, false);
+
+    page.network.online = false;
+    var queued = page.monopage.navigate('/more', {target: 'side', history: 'none'});
+    await helpers.wait();
+    assert.strictEqual(page.requests.length, 0);
+
+    page.network.online = true;
+    var nav = page.monopage.navigate('/page', {target: 'main'});
+    page.window.dispatchEvent(new page.window.Event('online'));
+
+    assert.strictEqual(page.requests.length, 2);
+    assert.strictEqual(page.requests[0].request.aborted, undefined);
+
+    page.reply(1, 'MORE');
+    page.reply(0, 'PAGE');
+
+    var state = await nav;
+    var more = await queued;
+
+    assert.strictEqual(state.url, 'https://ex.com/page');
+    assert.strictEqual(page.window.location.href, 'https://ex.com/page');
+    assert.strictEqual(page.document.getElementById('main').innerHTML, 'PAGE');
+    assert.strictEqual(more.body, 'MORE');
+    assert.strictEqual(page.document.getElementById('side').innerHTML, 'MORE');
+});
+
+
+test('the service worker is told of cached URLs with the request headers', async function () {
+    var posted = [ ];
+    var ready = null;
+
+    var page = makeOfflinePage({
+        before: function (window) {
+            Object.defineProperty(window.navigator, 'serviceWorker', {
+                value: {
+                    register: function () { return Promise.resolve({ }); },
+                    ready: new Promise(function (resolve) { ready = resolve; })
+                },
+                configurable: true
+            });
+        },
+        conf: {
+            service_worker: '/monopage-sw.js',
+            cache: 2,
+            before_request: function (request) {
+                request.headers['X-CSRF-Token'] = 'secret';
+            }
+        }
+    });
+
+    page.monopage.init('home', 'main', false, false);
+    page.monopage.cache.set('/a', 'A');
+    page.monopage.cache.set('/b', 'B');
+
+    ready({active: {postMessage: function (message) { posted.push(message); }}});
+    await helpers.wait(10);
+
+    assert.strictEqual(posted.length, 1);
+    assert.strictEqual(posted[0].requests.map(function (request) { return request.url; }).join(' '),
+                       'https://ex.com/a https://ex.com/b');
+    assert.strictEqual(posted[0].requests[0].headers['X-Monopage'], 'true');
+    assert.strictEqual(posted[0].requests[0].headers['X-CSRF-Token'], 'secret');
+
+    page.monopage.cache.set('/c', 'C');
+
+    assert.strictEqual(posted.length, 2);
+    assert.strictEqual(posted[1].requests[0].url, 'https://ex.com/c');
+});
+
+
+function makeControlledPage() {
+    return makeOfflinePage({
+        before: function (window) {
+            Object.defineProperty(window.navigator, 'serviceWorker', {
+                value: {
+                    controller: { },
+                    register: function () { return new Promise(function () { }); }
+                },
+                configurable: true
+            });
+        },
+        conf: {service_worker: '/monopage-sw.js'}
+    });
+}
+
+
+test('requests are sent while offline when a service worker controls the page', async function () {
+    var page = makeControlledPage();
+    page.monopage.init('home', 'main', false, false);
+
+    page.network.online = false;
+    var nav = page.monopage.navigate('/a', {target: 'main'});
+
+    assert.strictEqual(page.requests.length, 1);
+    page.reply(0, 'A');
+
+    var state = await nav;
+    assert.strictEqual(state.body, 'A');
+    assert.strictEqual(page.document.getElementById('main').innerHTML, 'A');
+});
+
+
+test('a request the service worker can\'t answer is handled as offline', async function () {
+    var page = makeControlledPage();
+    page.monopage.init('home', 'main', false, false);
+
+    page.network.online = false;
+    var nav = page.monopage.navigate('/a', {target: 'main'});
+
+    assert.strictEqual(page.requests.length, 1);
+    page.reply(0, '', {ok: false, status: 0, error: new Error('Failed to fetch')});
+
+    await assert.rejects(nav, function (failure) {
+        return (failure.offline === true);
+    });
+});
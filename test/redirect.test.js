@@ -0,0 +1,33 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+
+test('a reply without the hash is not a redirect', async function () {
+    var page = helpers.makePage();
+    page.monopage.init('home', 'main', false, false);
+
+    var nav = page.monopage.navigate('/a#sec', {target: 'main'});
+    page.reply(0, 'A', {url: 'https://ex.com/a'});
+    await nav;
+
+    assert.strictEqual(page.window.location.href, 'https://ex.com/a#sec');
+
+    await page.monopage.navigate('/a#sec', {target: 'main'});
+
+    assert.strictEqual(page.requests.length, 1, 'the second visit should come from the cache');
+});
+
+
+test('a redirect keeps the requested hash', async function () {
+    var page = helpers.makePage();
+    page.monopage.init('home', 'main', false, false);
+
+    var nav = page.monopage.navigate('/a#sec', {target: 'main'});
+    page.reply(0, 'B', {url: 'https://ex.com/b'});
+    var state = await nav;
+
+    assert.strictEqual(state.url, 'https://ex.com/b#sec');
+    assert.strictEqual(page.window.location.href, 'https://ex.com/b#sec');
+    assert.strictEqual(page.document.getElementById('main').innerHTML, 'B');
+});
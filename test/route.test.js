@@ -0,0 +1,74 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+
+
+function showFile() { }
+
+
+
+function makeRoutedPage() {
+    var page = helpers.makePage();
+    page.window.console.log = function () { };
+    page.monopage.init('home', 'main', false, false);
+
+    page.monopage.routes([
+        {pattern: '/posts/:id', target: 'main'},
+        {pattern: '/files/*.pdf', target: 'main', action: showFile},
+        {pattern: '/docs/*', target: 'main'}
+    ]);
+
+    return page;
+}
+
+
+
+async function navigateTo(page, url) {
+    var index = page.requests.length,
+        promise = page.monopage.navigate(url);
+
+    page.reply(index, 'body');
+
+    return await promise;
+}
+
+
+
+test('named parts are decoded into the params', async function () {
+    var page = makeRoutedPage();
+
+    var state = await navigateTo(page, '/posts/a%20b');
+    assert.strictEqual(state.params.id, 'a b');
+    assert.strictEqual(state.target_id, 'main');
+});
+
+
+
+test('a malformed named part is kept as is', async function () {
+    var page = makeRoutedPage();
+
+    var state = await navigateTo(page, '/posts/%E0%A4%A');
+    assert.strictEqual(state.params.id, '%E0%A4%A');
+});
+
+
+
+test('a * part matches the rest of the path', async function () {
+    var page = makeRoutedPage();
+
+    var state = await navigateTo(page, '/docs/a/b');
+    assert.strictEqual(state.target_id, 'main');
+});
+
+
+
+test('a * within a part is matched as is', async function () {
+    var page = makeRoutedPage();
+
+    var state = await navigateTo(page, '/files/*.pdf');
+    assert.strictEqual(state.action, showFile);
+
+    state = await navigateTo(page, '/files.pdf');
+    assert.notStrictEqual(state.action, showFile);
+});
@@ -0,0 +1,63 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var html = '<!DOCTYPE html><html><head><title>Home</title></head><body>' +
+    '<div id="main"><input id="query" name="q"><p>home</p></div>' +
+    '</body></html>';
+
+
+test('a morph with snapshots on keeps the live elements', async function () {
+    var page = helpers.makePage({html: html, conf: {swap: 'morph', snapshot: true}});
+    page.monopage.init(page.document.getElementById('main').innerHTML, 'main', false, false);
+
+    var input = page.document.getElementById('query');
+    input.value = 'typed';
+
+    var nav = page.monopage.navigate('/search', {target: 'main'});
+    page.reply(0, '<input id="query" name="q"><p>results</p>');
+    await nav;
+
+    assert.strictEqual(page.document.getElementById('query'), input);
+    assert.strictEqual(input.value, 'typed');
+    assert.strictEqual(page.document.querySelector('#main p').textContent, 'results');
+});
+
+
+test('a moved snapshot is restored on back', async function () {
+    var page = helpers.makePage({html: html, conf: {snapshot: true}});
+    page.monopage.init(page.document.getElementById('main').innerHTML, 'main', false, false);
+
+    var input = page.document.getElementById('query');
+    input.value = 'typed';
+    var first = page.window.history.state;
+
+    var nav = page.monopage.navigate('/search', {target: 'main'});
+    page.reply(0, '<p>results</p>');
+    await nav;
+
+    page.monopage.pop({state: first});
+    await helpers.wait(10);
+
+    assert.strictEqual(page.document.getElementById('query'), input);
+    assert.strictEqual(input.value, 'typed');
+});
+
+
+test('a morph snapshot is restored on back', async function () {
+    var page = helpers.makePage({html: html, conf: {swap: 'morph', snapshot: true}});
+    page.monopage.init(page.document.getElementById('main').innerHTML, 'main', false, false);
+
+    page.document.getElementById('query').value = 'typed';
+    var first = page.window.history.state;
+
+    var nav = page.monopage.navigate('/search', {target: 'main'});
+    page.reply(0, '<p>results</p>');
+    await nav;
+
+    page.monopage.pop({state: first});
+    await helpers.wait(10);
+
+    assert.strictEqual(page.document.getElementById('query').value, 'typed');
+    assert.strictEqual(page.document.querySelector('#main p').textContent, 'home');
+});
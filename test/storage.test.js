@@ -0,0 +1,41 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+
+test('an IndexedDB that throws on open leaves the cache in memory', function () {
+    var page = helpers.makePage({
+        conf: {cache_storage: 'indexeddb'},
+        before: function (window) {
+            window.console.log = function () { };
+            window.indexedDB = {
+                open: function () {
+                    throw new Error('SecurityError');
+                }
+            };
+        }
+    });
+
+    page.monopage.init('home', 'main', false, false);
+    page.monopage.cache.set('/a', 'A');
+
+    assert.strictEqual(page.monopage.cache.get('/a'), 'A');
+});
+
+
+test('an IndexedDB that throws when read leaves the cache in memory', function () {
+    var page = helpers.makePage({
+        conf: {cache_storage: 'indexeddb'},
+        before: function (window) {
+            Object.defineProperty(window, 'indexedDB', {
+                get: function () { throw new Error('SecurityError'); },
+                configurable: true
+            });
+        }
+    });
+
+    page.monopage.init('home', 'main', false, false);
+    page.monopage.cache.set('/a', 'A');
+
+    assert.strictEqual(page.monopage.cache.get('/a'), 'A');
+});